@@ -0,0 +1,37 @@
+// "Used in N canvases" at the top of markdown files that canvases show.
+
+import * as vscode from 'vscode';
+import { CanvasIndex } from './canvasIndex';
+
+export class CanvasCodeLensProvider implements vscode.CodeLensProvider, vscode.Disposable {
+    private readonly changeEmitter = new vscode.EventEmitter<void>();
+    private readonly indexSubscription: vscode.Disposable;
+
+    public readonly onDidChangeCodeLenses = this.changeEmitter.event;
+
+    constructor(private readonly canvasIndex: CanvasIndex) {
+        this.indexSubscription = canvasIndex.onDidChange(() => this.changeEmitter.fire());
+    }
+
+    public async provideCodeLenses(document: vscode.TextDocument): Promise<vscode.CodeLens[]> {
+        const references = await this.canvasIndex.getReferences(document.uri);
+        const canvasCount = new Set(references.map(reference => reference.canvas.uri.toString())).size;
+        if (canvasCount === 0) {
+            return [];
+        }
+
+        return [
+            new vscode.CodeLens(new vscode.Range(0, 0, 0, 0), {
+                title: canvasCount === 1 ? 'Used in 1 canvas' : `Used in ${canvasCount} canvases`,
+                tooltip: 'Reveal this file in a canvas',
+                command: 'infinite-canvas.revealInCanvas',
+                arguments: [document.uri]
+            })
+        ];
+    }
+
+    public dispose(): void {
+        this.indexSubscription.dispose();
+        this.changeEmitter.dispose();
+    }
+}
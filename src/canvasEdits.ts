@@ -0,0 +1,386 @@
+// Minimal text edits for saving canvas documents.
+//
+// The webview always sends the whole canvas re-serialized. Writing that back as-is
+// reformats every node (Obsidian writes one node per line, the webview pretty-prints),
+// resets cursors and makes undo jump. Instead we keep the original text of every node
+// and edge that did not change, then diff the result line by line.
+
+export interface TextEdit {
+    start: number; // Offset in the old text
+    end: number; // Offset in the old text
+    text: string;
+}
+
+export interface ArraySpan {
+    contentStart: number; // Offset just after '['
+    contentEnd: number; // Offset of ']'
+    elements: { start: number; end: number }[];
+}
+
+// Give up on a fine-grained diff beyond this many changed lines and replace the block
+const MAX_DIFF_DISTANCE = 2000;
+
+/**
+ * Compute the edits that turn the current document text into the canvas the webview sent
+ */
+export function computeCanvasEdits(oldText: string, newContent: string): TextEdit[] {
+    let newText = preserveFormatting(oldText, newContent);
+
+    // Keep the document's line endings
+    if (oldText.includes('\r\n') && !newText.includes('\r\n')) {
+        newText = newText.replace(/\n/g, '\r\n');
+    }
+
+    return diffLines(oldText, newText);
+}
+
+/**
+ * Rebuild the new canvas text reusing the original text of unchanged nodes and edges.
+ * Falls back to the webview's serialization when the old text cannot be matched up.
+ */
+function preserveFormatting(oldText: string, newContent: string): string {
+    let oldDoc: any;
+    let newDoc: any;
+    try {
+        oldDoc = JSON.parse(oldText);
+        newDoc = JSON.parse(newContent);
+    } catch {
+        return newContent;
+    }
+
+    if (!isObject(oldDoc) || !isObject(newDoc)) {
+        return newContent;
+    }
+
+    // Only nodes and edges are merged element by element; any other top-level change
+    // falls back to the full serialization
+    const otherKeys = new Set([...Object.keys(oldDoc), ...Object.keys(newDoc)]);
+    otherKeys.delete('nodes');
+    otherKeys.delete('edges');
+    for (const key of otherKeys) {
+        if (!deepEqual(oldDoc[key], newDoc[key])) {
+            return newContent;
+        }
+    }
+
+    let result = oldText;
+
+    // Replace the later array first so offsets of the earlier one stay valid
+    const spans = (['nodes', 'edges'] as const)
+        .map(key => ({ key, span: findArraySpan(oldText, key) }))
+        .sort((a, b) => (b.span?.contentStart ?? 0) - (a.span?.contentStart ?? 0));
+
+    for (const { key, span } of spans) {
+        const oldItems: any[] = Array.isArray(oldDoc[key]) ? oldDoc[key] : [];
+        const newItems: any[] = Array.isArray(newDoc[key]) ? newDoc[key] : [];
+
+        if (deepEqual(oldItems, newItems)) continue;
+        if (!span || span.elements.length !== oldItems.length) {
+            return newContent;
+        }
+
+        // An empty array has no layout of its own, so new items are laid out like the other array's
+        const otherSpan = spans.find(other => other.key !== key)?.span;
+        const layoutSpan = span.elements.length === 0 && otherSpan && otherSpan.elements.length > 0 ? otherSpan : span;
+
+        const content = rebuildArrayContent(oldText, span, layoutSpan, oldItems, newItems);
+        result = result.slice(0, span.contentStart) + content + result.slice(span.contentEnd);
+    }
+
+    return result;
+}
+
+/**
+ * Produce the text between '[' and ']' for the new items, copying unchanged items verbatim
+ * and writing new ones in the layout of the elements in layoutSpan
+ */
+function rebuildArrayContent(oldText: string, span: ArraySpan, layoutSpan: ArraySpan, oldItems: any[], newItems: any[]): string {
+    const oldTextById = new Map<string, { item: any; text: string }>();
+    oldItems.forEach((item, index) => {
+        const { start, end } = span.elements[index];
+        if (isObject(item) && typeof item.id === 'string') {
+            oldTextById.set(item.id, { item, text: oldText.slice(start, end) });
+        }
+    });
+
+    const first = layoutSpan.elements[0];
+    const second = layoutSpan.elements[1];
+    const last = layoutSpan.elements[layoutSpan.elements.length - 1];
+
+    // Whitespace around and between elements, taken from the original layout
+    const leading = first ? oldText.slice(layoutSpan.contentStart, first.start) : '\n    ';
+    const separator = first && second ? oldText.slice(first.end, second.start) : ',' + leading;
+    const trailing = last ? oldText.slice(last.end, layoutSpan.contentEnd) : '\n  ';
+
+    const baseIndent = leading.slice(leading.lastIndexOf('\n') + 1);
+    const sample = first ? oldText.slice(first.start, first.end) : '';
+    const singleLine = first !== undefined && !sample.includes('\n');
+    const indentUnit = detectIndentUnit(sample, baseIndent);
+
+    if (newItems.length === 0) {
+        return oldItems.length === 0 ? oldText.slice(span.contentStart, span.contentEnd) : '';
+    }
+
+    const parts = newItems.map(item => {
+        const old = isObject(item) && typeof item.id === 'string' ? oldTextById.get(item.id) : undefined;
+        if (old && deepEqual(old.item, item)) {
+            return old.text;
+        }
+
+        const ordered = old ? orderKeysLike(item, old.item) : item;
+        if (singleLine) {
+            return JSON.stringify(ordered);
+        }
+        return JSON.stringify(ordered, null, indentUnit).replace(/\n/g, '\n' + baseIndent);
+    });
+
+    return leading + parts.join(separator) + trailing;
+}
+
+function detectIndentUnit(elementText: string, baseIndent: string): string {
+    const match = elementText.match(/\n([ \t]+)/);
+    if (match && match[1].startsWith(baseIndent) && match[1].length > baseIndent.length) {
+        return match[1].slice(baseIndent.length);
+    }
+    return baseIndent.startsWith('\t') ? '\t' : '  ';
+}
+
+/**
+ * Keep the key order of the original element so a changed node only differs in its values
+ */
+function orderKeysLike(item: Record<string, unknown>, original: Record<string, unknown>): Record<string, unknown> {
+    const ordered: Record<string, unknown> = {};
+    for (const key of Object.keys(original)) {
+        if (key in item) ordered[key] = item[key];
+    }
+    for (const key of Object.keys(item)) {
+        if (!(key in ordered)) ordered[key] = item[key];
+    }
+    return ordered;
+}
+
+/**
+ * Locate a top-level array property in JSON text along with the span of each element
+ */
+export function findArraySpan(text: string, key: string): ArraySpan | null {
+    let i = skipWhitespace(text, 0);
+    if (text[i] !== '{') return null;
+    i++;
+
+    while (i < text.length) {
+        i = skipWhitespace(text, i);
+        if (text[i] === '}') return null;
+        if (text[i] === ',') {
+            i++;
+            continue;
+        }
+        if (text[i] !== '"') return null;
+
+        const keyEnd = skipString(text, i);
+        const name = JSON.parse(text.slice(i, keyEnd));
+        i = skipWhitespace(text, keyEnd);
+        if (text[i] !== ':') return null;
+        i = skipWhitespace(text, i + 1);
+
+        if (name !== key || text[i] !== '[') {
+            i = skipValue(text, i);
+            continue;
+        }
+
+        const span: ArraySpan = { contentStart: i + 1, contentEnd: -1, elements: [] };
+        i++;
+        while (i < text.length) {
+            i = skipWhitespace(text, i);
+            if (text[i] === ']') {
+                span.contentEnd = i;
+                return span;
+            }
+            if (text[i] === ',') {
+                i++;
+                continue;
+            }
+            const end = skipValue(text, i);
+            span.elements.push({ start: i, end });
+            i = end;
+        }
+        return null;
+    }
+
+    return null;
+}
+
+function skipWhitespace(text: string, i: number): number {
+    while (i < text.length && /\s/.test(text[i])) i++;
+    return i;
+}
+
+function skipString(text: string, i: number): number {
+    i++; // Opening quote
+    while (i < text.length && text[i] !== '"') {
+        i += text[i] === '\\' ? 2 : 1;
+    }
+    return i + 1;
+}
+
+function skipValue(text: string, i: number): number {
+    if (text[i] === '"') {
+        return skipString(text, i);
+    }
+
+    if (text[i] === '{' || text[i] === '[') {
+        let depth = 0;
+        while (i < text.length) {
+            const ch = text[i];
+            if (ch === '"') {
+                i = skipString(text, i);
+                continue;
+            }
+            if (ch === '{' || ch === '[') depth++;
+            if (ch === '}' || ch === ']') {
+                depth--;
+                if (depth === 0) return i + 1;
+            }
+            i++;
+        }
+        return i;
+    }
+
+    // Number, true, false or null
+    while (i < text.length && !/[\s,}\]]/.test(text[i])) i++;
+    return i;
+}
+
+function isObject(value: unknown): value is Record<string, any> {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Structural equality that ignores key order
+ */
+function deepEqual(a: unknown, b: unknown): boolean {
+    if (a === b) return true;
+    if (Array.isArray(a) && Array.isArray(b)) {
+        return a.length === b.length && a.every((item, index) => deepEqual(item, b[index]));
+    }
+    if (isObject(a) && isObject(b)) {
+        const keys = Object.keys(a);
+        return keys.length === Object.keys(b).length && keys.every(key => key in b && deepEqual(a[key], b[key]));
+    }
+    return false;
+}
+
+/**
+ * Line-based diff (Myers) turned into replace edits on the old text
+ */
+function diffLines(oldText: string, newText: string): TextEdit[] {
+    if (oldText === newText) return [];
+
+    // Split keeping line terminators so joining gives back the exact text
+    const oldLines = oldText.split(/(?<=\n)/);
+    const newLines = newText.split(/(?<=\n)/);
+
+    // Trim the common head and tail; most saves only touch a few nodes
+    let head = 0;
+    while (head < oldLines.length && head < newLines.length && oldLines[head] === newLines[head]) head++;
+    let tail = 0;
+    while (
+        tail < oldLines.length - head &&
+        tail < newLines.length - head &&
+        oldLines[oldLines.length - 1 - tail] === newLines[newLines.length - 1 - tail]
+    ) tail++;
+
+    const a = oldLines.slice(head, oldLines.length - tail);
+    const b = newLines.slice(head, newLines.length - tail);
+
+    const lineOffsets: number[] = [0];
+    for (const line of oldLines) lineOffsets.push(lineOffsets[lineOffsets.length - 1] + line.length);
+
+    const toEdit = (oldStart: number, oldEnd: number, newStart: number, newEnd: number): TextEdit => ({
+        start: lineOffsets[head + oldStart],
+        end: lineOffsets[head + oldEnd],
+        text: b.slice(newStart, newEnd).join('')
+    });
+
+    const hunks = myersHunks(a, b);
+    if (!hunks) {
+        return [toEdit(0, a.length, 0, b.length)];
+    }
+
+    return hunks.map(h => toEdit(h.oldStart, h.oldEnd, h.newStart, h.newEnd));
+}
+
+interface Hunk {
+    oldStart: number;
+    oldEnd: number;
+    newStart: number;
+    newEnd: number;
+}
+
+/**
+ * Myers' O(ND) diff returning the changed regions, or null if the texts are too different
+ */
+function myersHunks(a: string[], b: string[]): Hunk[] | null {
+    const n = a.length;
+    const m = b.length;
+    const max = Math.min(n + m, MAX_DIFF_DISTANCE);
+    const offset = max + 1;
+    const v = new Int32Array(2 * max + 3);
+    const trace: Int32Array[] = [];
+
+    let found = false;
+    for (let d = 0; d <= max && !found; d++) {
+        trace.push(v.slice());
+        for (let k = -d; k <= d; k += 2) {
+            let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+                ? v[offset + k + 1]
+                : v[offset + k - 1] + 1;
+            let y = x - k;
+            while (x < n && y < m && a[x] === b[y]) {
+                x++;
+                y++;
+            }
+            v[offset + k] = x;
+            if (x >= n && y >= m) {
+                found = true;
+                break;
+            }
+        }
+    }
+
+    if (!found) return null;
+
+    // Walk the trace backwards collecting the matched (unchanged) line pairs
+    const matches: [number, number][] = [];
+    let x = n;
+    let y = m;
+    for (let d = trace.length - 1; d > 0; d--) {
+        const vPrev = trace[d];
+        const k = x - y;
+        const prevK = k === -d || (k !== d && vPrev[offset + k - 1] < vPrev[offset + k + 1]) ? k + 1 : k - 1;
+        const prevX = vPrev[offset + prevK];
+        const prevY = prevX - prevK;
+        while (x > prevX && y > prevY) {
+            matches.push([--x, --y]);
+        }
+        x = prevX;
+        y = prevY;
+    }
+    while (x > 0 && y > 0) {
+        matches.push([--x, --y]);
+    }
+    matches.reverse();
+
+    // Everything between two consecutive matches is one hunk
+    const hunks: Hunk[] = [];
+    let oldPos = 0;
+    let newPos = 0;
+    for (const [ai, bi] of [...matches, [n, m] as [number, number]]) {
+        if (ai > oldPos || bi > newPos) {
+            hunks.push({ oldStart: oldPos, oldEnd: ai, newStart: newPos, newEnd: bi });
+        }
+        oldPos = ai + 1;
+        newPos = bi + 1;
+    }
+
+    return hunks;
+}
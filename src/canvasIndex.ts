@@ -0,0 +1,203 @@
+// Workspace-wide index of the nodes in all .canvas files.
+//
+// Canvases are read from disk, or from the open document when one is being edited,
+// and re-indexed whenever they change. Features that answer "which canvases use this
+// file" or search nodes across the workspace query this instead of parsing files themselves.
+
+import * as vscode from 'vscode';
+import { resolveCanvasFilePath } from './canvasPaths';
+
+export interface IndexedNode {
+    id: string;
+    type: string;
+    title: string; // Short display name, see getNodeTitle
+    text?: string;
+    label?: string;
+    file?: string; // As stored in the canvas
+    fileUri?: vscode.Uri;
+    subpath?: string;
+    url?: string;
+}
+
+export interface IndexedCanvas {
+    uri: vscode.Uri;
+    nodes: IndexedNode[];
+}
+
+export interface CanvasReference {
+    canvas: IndexedCanvas;
+    node: IndexedNode;
+}
+
+// Wait for a pause in typing before re-indexing an open canvas
+const REINDEX_DELAY = 300;
+
+/**
+ * Short name for a node: the group label, the file name, the URL, or the first heading
+ * or line of a text node
+ */
+export function getNodeTitle(node: { type?: string; text?: string; label?: string; file?: string; url?: string }): string {
+    switch (node.type) {
+        case 'group':
+            return node.label || 'Group';
+        case 'file':
+            return (node.file || '').split('/').pop() || 'File';
+        case 'link':
+            return node.url || 'Link';
+        default: {
+            const lines = (node.text || '').split('\n').map(line => line.trim()).filter(line => line !== '');
+            const heading = lines.find(line => /^#{1,6}\s/.test(line));
+            return (heading || lines[0] || 'Empty note').replace(/^#{1,6}\s+/, '');
+        }
+    }
+}
+
+export class CanvasIndex implements vscode.Disposable {
+    private readonly canvases = new Map<string, IndexedCanvas>();
+    private readonly disposables: vscode.Disposable[] = [];
+    private readonly pendingUpdates = new Map<string, NodeJS.Timeout>();
+    private readonly changeEmitter = new vscode.EventEmitter<void>();
+    private ready: Promise<void> | undefined;
+
+    /** Fires after any canvas was added, changed or removed */
+    public readonly onDidChange = this.changeEmitter.event;
+
+    constructor() {
+        const watcher = vscode.workspace.createFileSystemWatcher('**/*.canvas');
+        watcher.onDidCreate(uri => this.scheduleUpdate(uri));
+        watcher.onDidChange(uri => this.scheduleUpdate(uri));
+        watcher.onDidDelete(uri => this.remove(uri));
+
+        // Unsaved edits in open canvases count too
+        const documentSubscription = vscode.workspace.onDidChangeTextDocument(e => {
+            if (e.document.uri.path.endsWith('.canvas')) {
+                this.scheduleUpdate(e.document.uri);
+            }
+        });
+
+        // File node paths resolve differently under another vault root
+        const configSubscription = vscode.workspace.onDidChangeConfiguration(e => {
+            if (e.affectsConfiguration('infinite-canvas.vaultRoot')) {
+                this.canvases.clear();
+                this.ready = undefined;
+                this.changeEmitter.fire();
+            }
+        });
+
+        this.disposables.push(watcher, documentSubscription, configSubscription, this.changeEmitter);
+    }
+
+    /**
+     * All indexed canvases; the first call scans the workspace
+     */
+    public async getCanvases(): Promise<IndexedCanvas[]> {
+        await this.ensureIndexed();
+        return [...this.canvases.values()];
+    }
+
+    /**
+     * Nodes in any canvas that show the given file
+     */
+    public async getReferences(fileUri: vscode.Uri): Promise<CanvasReference[]> {
+        const key = fileUri.toString();
+        const references: CanvasReference[] = [];
+
+        for (const canvas of await this.getCanvases()) {
+            for (const node of canvas.nodes) {
+                if (node.fileUri?.toString() === key) {
+                    references.push({ canvas, node });
+                }
+            }
+        }
+
+        return references;
+    }
+
+    public dispose(): void {
+        this.pendingUpdates.forEach(timeout => clearTimeout(timeout));
+        this.pendingUpdates.clear();
+        this.disposables.forEach(disposable => disposable.dispose());
+    }
+
+    private ensureIndexed(): Promise<void> {
+        if (!this.ready) {
+            this.ready = (async () => {
+                const uris = await vscode.workspace.findFiles('**/*.canvas', '**/node_modules/**');
+                await Promise.all(uris.map(uri => this.update(uri, false)));
+                console.log('🗂️ Indexed', this.canvases.size, 'canvases');
+            })();
+        }
+        return this.ready;
+    }
+
+    private scheduleUpdate(uri: vscode.Uri): void {
+        // Nothing to keep up to date before the first scan
+        if (!this.ready) return;
+
+        const key = uri.toString();
+        clearTimeout(this.pendingUpdates.get(key));
+        this.pendingUpdates.set(key, setTimeout(() => {
+            this.pendingUpdates.delete(key);
+            this.update(uri, true);
+        }, REINDEX_DELAY));
+    }
+
+    private async update(uri: vscode.Uri, notify: boolean): Promise<void> {
+        const text = await this.readCanvas(uri);
+        if (text === undefined) {
+            this.remove(uri);
+            return;
+        }
+
+        this.canvases.set(uri.toString(), { uri, nodes: this.parseNodes(uri, text) });
+        if (notify) {
+            this.changeEmitter.fire();
+        }
+    }
+
+    private remove(uri: vscode.Uri): void {
+        if (this.canvases.delete(uri.toString())) {
+            this.changeEmitter.fire();
+        }
+    }
+
+    private async readCanvas(uri: vscode.Uri): Promise<string | undefined> {
+        const openDocument = vscode.workspace.textDocuments.find(doc => doc.uri.toString() === uri.toString());
+        if (openDocument) {
+            return openDocument.getText();
+        }
+
+        try {
+            return Buffer.from(await vscode.workspace.fs.readFile(uri)).toString('utf8');
+        } catch {
+            return undefined;
+        }
+    }
+
+    private parseNodes(canvasUri: vscode.Uri, text: string): IndexedNode[] {
+        let canvas: any;
+        try {
+            canvas = JSON.parse(text);
+        } catch {
+            // Keep the previous state of a canvas that is mid-edit and not valid JSON
+            return this.canvases.get(canvasUri.toString())?.nodes ?? [];
+        }
+
+        const nodes: unknown[] = Array.isArray(canvas?.nodes) ? canvas.nodes : [];
+        return nodes
+            .filter((node: any) => node && typeof node.id === 'string')
+            .map((node: any): IndexedNode => ({
+                id: node.id,
+                type: String(node.type),
+                title: getNodeTitle(node),
+                text: typeof node.text === 'string' ? node.text : undefined,
+                label: typeof node.label === 'string' ? node.label : undefined,
+                file: typeof node.file === 'string' ? node.file : undefined,
+                fileUri: node.type === 'file' && typeof node.file === 'string'
+                    ? resolveCanvasFilePath(canvasUri, node.file)
+                    : undefined,
+                subpath: typeof node.subpath === 'string' ? node.subpath : undefined,
+                url: typeof node.url === 'string' ? node.url : undefined
+            }));
+    }
+}
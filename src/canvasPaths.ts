@@ -0,0 +1,95 @@
+// Resolving the file paths stored in canvas file nodes.
+//
+// Obsidian stores paths relative to the vault root with forward slashes. In VS Code the
+// vault root is the workspace folder that contains the canvas (not simply the first folder
+// of a multi-root workspace), unless `infinite-canvas.vaultRoot` points somewhere else.
+
+import * as vscode from 'vscode';
+
+const isWindows = process.platform === 'win32';
+
+/**
+ * Folder that file node paths in this canvas are relative to
+ */
+export function getVaultRoot(canvasUri: vscode.Uri): vscode.Uri {
+    // Canvases outside any workspace folder resolve against their own folder
+    const folderUri = vscode.workspace.getWorkspaceFolder(canvasUri)?.uri ?? vscode.Uri.joinPath(canvasUri, '..');
+
+    const setting = vscode.workspace.getConfiguration('infinite-canvas', canvasUri).get<string>('vaultRoot', '').trim();
+    if (!setting) {
+        return folderUri;
+    }
+
+    const vaultPath = toPosixPath(setting);
+    return isAbsolutePath(vaultPath)
+        ? withPath(folderUri, vaultPath)
+        : vscode.Uri.joinPath(folderUri, vaultPath);
+}
+
+/**
+ * Turn the `file` field of a node into a URI
+ */
+export function resolveCanvasFilePath(canvasUri: vscode.Uri, filePath: string): vscode.Uri {
+    const root = getVaultRoot(canvasUri);
+    const normalized = toPosixPath(filePath);
+
+    if (isAbsolutePath(normalized)) {
+        return withPath(root, normalized);
+    }
+
+    // Older canvases stored absolute paths with the leading slash removed (Users/me/...)
+    if (!isWindows) {
+        const legacyRelative = getRelativePath(root, withPath(root, '/' + normalized));
+        if (legacyRelative !== undefined) {
+            console.log('Converted stored absolute path to relative:', filePath, '->', legacyRelative);
+            return vscode.Uri.joinPath(root, legacyRelative);
+        }
+    }
+
+    return vscode.Uri.joinPath(root, normalized);
+}
+
+/**
+ * The path to store in a node's `file` field for a URI: vault-relative with forward slashes,
+ * or absolute for files outside the vault
+ */
+export function toCanvasFilePath(canvasUri: vscode.Uri, fileUri: vscode.Uri): string {
+    const root = getVaultRoot(canvasUri);
+    return getRelativePath(root, fileUri) ?? toPosixPath(fileUri.fsPath);
+}
+
+/**
+ * Path of a URI below a folder, or undefined if it lies outside of it
+ */
+export function getRelativePath(folderUri: vscode.Uri, fileUri: vscode.Uri): string | undefined {
+    if (folderUri.scheme !== fileUri.scheme || folderUri.authority !== fileUri.authority) {
+        return undefined;
+    }
+
+    const folderPath = folderUri.path.replace(/\/+$/, '') + '/';
+    const filePath = fileUri.path;
+
+    // Windows paths are case-insensitive
+    const matches = isWindows
+        ? filePath.toLowerCase().startsWith(folderPath.toLowerCase())
+        : filePath.startsWith(folderPath);
+
+    return matches ? filePath.slice(folderPath.length) : undefined;
+}
+
+function toPosixPath(filePath: string): string {
+    return filePath.trim().replace(/\\/g, '/');
+}
+
+function isAbsolutePath(filePath: string): boolean {
+    // Posix (/home/...) and Windows (C:/Users/...) paths
+    return filePath.startsWith('/') || /^[a-zA-Z]:\//.test(filePath);
+}
+
+/**
+ * Build a URI for an absolute path on the same file system as another URI (local or remote)
+ */
+function withPath(base: vscode.Uri, absolutePath: string): vscode.Uri {
+    const fileUri = vscode.Uri.file(absolutePath);
+    return base.with({ path: fileUri.path });
+}
@@ -0,0 +1,93 @@
+// "Canvas References" explorer view: the canvases and nodes that show the active file.
+
+import * as vscode from 'vscode';
+import * as path from 'path';
+import { CanvasIndex, IndexedCanvas, IndexedNode } from './canvasIndex';
+
+type ReferenceItem =
+    | { kind: 'canvas'; canvas: IndexedCanvas; nodes: IndexedNode[] }
+    | { kind: 'node'; canvas: IndexedCanvas; node: IndexedNode };
+
+export class CanvasReferencesProvider implements vscode.TreeDataProvider<ReferenceItem>, vscode.Disposable {
+    public static readonly viewId = 'infinite-canvas.canvasReferences';
+
+    private readonly changeEmitter = new vscode.EventEmitter<void>();
+    private readonly disposables: vscode.Disposable[] = [];
+    private readonly treeView: vscode.TreeView<ReferenceItem>;
+    private fileUri: vscode.Uri | undefined;
+
+    public readonly onDidChangeTreeData = this.changeEmitter.event;
+
+    constructor(private readonly canvasIndex: CanvasIndex) {
+        this.treeView = vscode.window.createTreeView(CanvasReferencesProvider.viewId, { treeDataProvider: this });
+        this.fileUri = vscode.window.activeTextEditor?.document.uri;
+
+        this.disposables.push(
+            this.treeView,
+            this.changeEmitter,
+            // Switching to a canvas (a custom editor, so no text editor) or to an
+            // output panel keeps the last file
+            vscode.window.onDidChangeActiveTextEditor(editor => {
+                if (editor && vscode.workspace.getWorkspaceFolder(editor.document.uri)) {
+                    this.fileUri = editor.document.uri;
+                    this.changeEmitter.fire();
+                }
+            }),
+            canvasIndex.onDidChange(() => this.changeEmitter.fire())
+        );
+    }
+
+    public async getChildren(element?: ReferenceItem): Promise<ReferenceItem[]> {
+        if (element) {
+            return element.kind === 'canvas'
+                ? element.nodes.map(node => ({ kind: 'node', canvas: element.canvas, node }))
+                : [];
+        }
+
+        if (!this.fileUri) {
+            this.treeView.message = 'Open a file to see the canvases that use it.';
+            return [];
+        }
+
+        const references = await this.canvasIndex.getReferences(this.fileUri);
+        const fileName = path.posix.basename(this.fileUri.path);
+        this.treeView.message = references.length === 0 ? `${fileName} is not used on any canvas.` : undefined;
+        this.treeView.description = fileName;
+
+        // One entry per canvas, with the nodes showing the file below it
+        const byCanvas = new Map<string, { kind: 'canvas'; canvas: IndexedCanvas; nodes: IndexedNode[] }>();
+        for (const { canvas, node } of references) {
+            const key = canvas.uri.toString();
+            if (!byCanvas.has(key)) {
+                byCanvas.set(key, { kind: 'canvas', canvas, nodes: [] });
+            }
+            byCanvas.get(key)!.nodes.push(node);
+        }
+
+        return [...byCanvas.values()].sort((a, b) => a.canvas.uri.path.localeCompare(b.canvas.uri.path));
+    }
+
+    public getTreeItem(element: ReferenceItem): vscode.TreeItem {
+        if (element.kind === 'canvas') {
+            const item = new vscode.TreeItem(element.canvas.uri, vscode.TreeItemCollapsibleState.Expanded);
+            item.description = vscode.workspace.asRelativePath(vscode.Uri.joinPath(element.canvas.uri, '..'));
+            item.tooltip = `${element.nodes.length} node(s) in ${vscode.workspace.asRelativePath(element.canvas.uri)}`;
+            return item;
+        }
+
+        const { canvas, node } = element;
+        const item = new vscode.TreeItem(node.subpath ? `${node.title}${node.subpath}` : node.title);
+        item.iconPath = new vscode.ThemeIcon('symbol-file');
+        item.tooltip = `Show node in ${path.posix.basename(canvas.uri.path)}`;
+        item.command = {
+            command: 'infinite-canvas.revealNode',
+            title: 'Reveal in Canvas',
+            arguments: [canvas.uri, node.id]
+        };
+        return item;
+    }
+
+    public dispose(): void {
+        this.disposables.forEach(disposable => disposable.dispose());
+    }
+}
@@ -0,0 +1,144 @@
+// Keeping file node paths up to date when files are renamed or moved.
+//
+// All canvases in the workspace are checked, open or not. The new paths go through a
+// WorkspaceEdit so open canvases reload like after any other edit, the change can be
+// undone, and it can be shown in the refactor preview first.
+
+import * as vscode from 'vscode';
+import { computeCanvasEdits } from './canvasEdits';
+import { getRelativePath, resolveCanvasFilePath, toCanvasFilePath } from './canvasPaths';
+
+type RenameUpdateMode = 'always' | 'preview' | 'never';
+
+interface FileRename {
+    readonly oldUri: vscode.Uri;
+    readonly newUri: vscode.Uri;
+}
+
+/**
+ * Rewrite the `file` fields (and group backgrounds) that point at renamed files or folders
+ */
+export async function updateCanvasReferences(renames: readonly FileRename[]): Promise<void> {
+    const mode = vscode.workspace.getConfiguration('infinite-canvas').get<RenameUpdateMode>('updateReferencesOnRename', 'always');
+    if (mode === 'never' || renames.length === 0) {
+        return;
+    }
+
+    const canvasUris = await vscode.workspace.findFiles('**/*.canvas');
+    const edit = new vscode.WorkspaceEdit();
+    const changedDocuments: vscode.TextDocument[] = [];
+    const wasDirty = new Set<string>();
+
+    for (const canvasUri of canvasUris) {
+        const text = await readCanvasText(canvasUri);
+        if (text === undefined) continue;
+
+        const updated = renameReferences(canvasUri, text, renames);
+        if (!updated) continue;
+
+        const document = await vscode.workspace.openTextDocument(canvasUri);
+        if (document.isDirty) {
+            wasDirty.add(canvasUri.toString());
+        }
+
+        for (const textEdit of computeCanvasEdits(document.getText(), updated)) {
+            edit.replace(
+                canvasUri,
+                new vscode.Range(document.positionAt(textEdit.start), document.positionAt(textEdit.end)),
+                textEdit.text,
+                { label: 'Update canvas file references', needsConfirmation: mode === 'preview' }
+            );
+        }
+        changedDocuments.push(document);
+    }
+
+    if (changedDocuments.length === 0) {
+        return;
+    }
+
+    console.log('🔁 Updating file references in', changedDocuments.length, 'canvas(es)');
+    const applied = await vscode.workspace.applyEdit(edit);
+    if (!applied) {
+        return;
+    }
+
+    // Save canvases that had no unsaved changes of their own, so closed canvases
+    // are not left behind as hidden dirty documents
+    for (const document of changedDocuments) {
+        if (document.isDirty && !wasDirty.has(document.uri.toString())) {
+            await document.save();
+        }
+    }
+}
+
+/**
+ * Current text of a canvas, preferring unsaved editor content over the file on disk
+ */
+async function readCanvasText(canvasUri: vscode.Uri): Promise<string | undefined> {
+    const openDocument = vscode.workspace.textDocuments.find(doc => doc.uri.toString() === canvasUri.toString());
+    if (openDocument) {
+        return openDocument.getText();
+    }
+
+    try {
+        return Buffer.from(await vscode.workspace.fs.readFile(canvasUri)).toString('utf8');
+    } catch (error) {
+        console.error('Error reading canvas:', canvasUri.fsPath, error);
+        return undefined;
+    }
+}
+
+/**
+ * The canvas serialized with renamed paths applied, or undefined if nothing points at a renamed file
+ */
+function renameReferences(canvasUri: vscode.Uri, text: string, renames: readonly FileRename[]): string | undefined {
+    let canvas: any;
+    try {
+        canvas = JSON.parse(text);
+    } catch {
+        return undefined;
+    }
+    if (!Array.isArray(canvas?.nodes)) {
+        return undefined;
+    }
+
+    const renamePath = (filePath: string): string | undefined => {
+        const fileUri = resolveCanvasFilePath(canvasUri, filePath);
+
+        for (const { oldUri, newUri } of renames) {
+            if (fileUri.toString() === oldUri.toString()) {
+                return toCanvasFilePath(canvasUri, newUri);
+            }
+
+            // A file inside a renamed folder
+            const relativePath = getRelativePath(oldUri, fileUri);
+            if (relativePath !== undefined) {
+                return toCanvasFilePath(canvasUri, vscode.Uri.joinPath(newUri, relativePath));
+            }
+        }
+        return undefined;
+    };
+
+    let changed = false;
+    for (const node of canvas.nodes) {
+        if (node?.type === 'file' && typeof node.file === 'string') {
+            const newPath = renamePath(node.file);
+            if (newPath !== undefined && newPath !== node.file) {
+                console.log('🔁 Renamed reference:', node.file, '->', newPath);
+                node.file = newPath;
+                changed = true;
+            }
+        }
+
+        // Group backgrounds may point at an image in the workspace
+        if (node?.type === 'group' && typeof node.background === 'string' && !/^[a-z][a-z0-9+.-]+:/i.test(node.background)) {
+            const newPath = renamePath(node.background);
+            if (newPath !== undefined && newPath !== node.background) {
+                node.background = newPath;
+                changed = true;
+            }
+        }
+    }
+
+    return changed ? JSON.stringify(canvas, null, 2) : undefined;
+}
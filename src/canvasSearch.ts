@@ -0,0 +1,151 @@
+// Searching nodes across all canvases: Go to Symbol in Workspace and "Find Node in Workspace".
+
+import * as vscode from 'vscode';
+import * as path from 'path';
+import { CanvasIndex, CanvasReference, IndexedNode } from './canvasIndex';
+import { locateCanvasNodes } from './canvasSymbols';
+
+// Keep the pickers responsive on large workspaces
+const MAX_RESULTS = 200;
+const MAX_SNIPPET_LENGTH = 80;
+
+export interface CanvasSearchResult extends CanvasReference {
+    snippet: string; // The matching line, shown as the result's name
+}
+
+const SYMBOL_KINDS: Record<string, vscode.SymbolKind> = {
+    group: vscode.SymbolKind.Namespace,
+    text: vscode.SymbolKind.String,
+    file: vscode.SymbolKind.File
+};
+
+/**
+ * Text nodes, group labels and file paths containing every word of the query
+ */
+export async function searchCanvasNodes(canvasIndex: CanvasIndex, query: string): Promise<CanvasSearchResult[]> {
+    const terms = query.toLowerCase().split(/\s+/).filter(term => term !== '');
+    const results: CanvasSearchResult[] = [];
+
+    for (const canvas of await canvasIndex.getCanvases()) {
+        for (const node of canvas.nodes) {
+            const snippet = matchNode(node, terms);
+            if (snippet !== undefined) {
+                results.push({ canvas, node, snippet });
+                if (results.length >= MAX_RESULTS) return results;
+            }
+        }
+    }
+
+    return results;
+}
+
+/**
+ * The line to show for a node matching all terms, or undefined if it does not match
+ */
+function matchNode(node: IndexedNode, terms: string[]): string | undefined {
+    const searchable =
+        node.type === 'text' ? node.text :
+        node.type === 'group' ? node.label :
+        node.type === 'file' ? `${node.file ?? ''}${node.subpath ?? ''}` :
+        undefined;
+    if (!searchable) return undefined;
+
+    const lowerText = searchable.toLowerCase();
+    if (!terms.every(term => lowerText.includes(term))) return undefined;
+
+    // Show the line with the first term so the reason for the match is visible
+    const lines = searchable.split('\n').map(line => line.trim()).filter(line => line !== '');
+    const line = (terms.length > 0 && lines.find(l => l.toLowerCase().includes(terms[0]))) || node.title;
+    const snippet = line.replace(/^#{1,6}\s+/, '');
+    return snippet.length > MAX_SNIPPET_LENGTH ? snippet.slice(0, MAX_SNIPPET_LENGTH - 1) + '…' : snippet;
+}
+
+class CanvasNodeSymbol extends vscode.SymbolInformation {
+    constructor(public readonly result: CanvasSearchResult) {
+        super(
+            result.snippet,
+            SYMBOL_KINDS[result.node.type] ?? vscode.SymbolKind.Object,
+            path.posix.basename(result.canvas.uri.path),
+            new vscode.Location(result.canvas.uri, new vscode.Position(0, 0))
+        );
+    }
+}
+
+export class CanvasWorkspaceSymbolProvider implements vscode.WorkspaceSymbolProvider<CanvasNodeSymbol> {
+    constructor(
+        private readonly canvasIndex: CanvasIndex,
+        private readonly onSymbolPicked: (canvasUri: vscode.Uri, nodeId: string) => void
+    ) {}
+
+    public async provideWorkspaceSymbols(query: string): Promise<CanvasNodeSymbol[]> {
+        if (query.trim() === '') {
+            return [];
+        }
+
+        const results = await searchCanvasNodes(this.canvasIndex, query);
+        return results.map(result => new CanvasNodeSymbol(result));
+    }
+
+    /**
+     * Called when a symbol is picked: point it at the node's JSON for canvases opened as
+     * text, and let the canvas editor reveal the node once VS Code opens it
+     */
+    public async resolveWorkspaceSymbol(symbol: CanvasNodeSymbol): Promise<CanvasNodeSymbol> {
+        this.onSymbolPicked(symbol.result.canvas.uri, symbol.result.node.id);
+
+        const document = await vscode.workspace.openTextDocument(symbol.result.canvas.uri);
+        const located = locateCanvasNodes(document).find(node => node.id === symbol.result.node.id);
+        if (located) {
+            symbol.location = new vscode.Location(document.uri, located.range);
+        }
+        return symbol;
+    }
+}
+
+interface NodePickItem extends vscode.QuickPickItem {
+    result: CanvasSearchResult;
+}
+
+/**
+ * Let the user search nodes in all canvases and return the one picked
+ */
+export async function pickCanvasNode(canvasIndex: CanvasIndex): Promise<CanvasSearchResult | undefined> {
+    const quickPick = vscode.window.createQuickPick<NodePickItem>();
+    quickPick.title = 'Find Node in Workspace';
+    quickPick.placeholder = 'Search text nodes, group labels and file paths in all canvases';
+
+    let searchId = 0;
+    const updateItems = async (query: string) => {
+        const id = ++searchId;
+        quickPick.busy = true;
+        const results = await searchCanvasNodes(canvasIndex, query);
+
+        // A newer search started while this one ran
+        if (id !== searchId) return;
+
+        quickPick.items = results.map(result => ({
+            label: result.snippet,
+            description: vscode.workspace.asRelativePath(result.canvas.uri),
+            detail: result.node.type === 'text' && result.snippet !== result.node.title ? result.node.title : undefined,
+            // Already filtered on the node's full text, not just the line shown
+            alwaysShow: true,
+            result
+        }));
+        quickPick.busy = false;
+    };
+
+    return new Promise(resolve => {
+        quickPick.onDidChangeValue(value => updateItems(value));
+        quickPick.onDidAccept(() => {
+            resolve(quickPick.selectedItems[0]?.result);
+            quickPick.hide();
+        });
+        quickPick.onDidHide(() => {
+            resolve(undefined);
+            quickPick.dispose();
+        });
+
+        quickPick.show();
+        updateItems('');
+    });
+}
@@ -0,0 +1,129 @@
+// Outline of a canvas document: groups with the nodes inside them.
+
+import * as vscode from 'vscode';
+import { findArraySpan } from './canvasEdits';
+import { getNodeTitle } from './canvasIndex';
+
+interface LocatedNode {
+    id: string;
+    type: string;
+    node: any;
+    range: vscode.Range;
+    bounds: { x: number; y: number; width: number; height: number };
+}
+
+const SYMBOL_KINDS: Record<string, vscode.SymbolKind> = {
+    group: vscode.SymbolKind.Namespace,
+    text: vscode.SymbolKind.String,
+    file: vscode.SymbolKind.File,
+    link: vscode.SymbolKind.Key
+};
+
+/**
+ * Nodes of a canvas document with the text range each one occupies, in document order
+ */
+export function locateCanvasNodes(document: vscode.TextDocument): LocatedNode[] {
+    const text = document.getText();
+
+    let canvas: any;
+    try {
+        canvas = JSON.parse(text);
+    } catch {
+        return [];
+    }
+
+    const span = findArraySpan(text, 'nodes');
+    const nodes: any[] = Array.isArray(canvas?.nodes) ? canvas.nodes : [];
+    if (!span || span.elements.length !== nodes.length) {
+        return [];
+    }
+
+    return nodes.flatMap((node, index) => {
+        if (!node || typeof node.id !== 'string') return [];
+
+        const { start, end } = span.elements[index];
+        return [{
+            id: node.id,
+            type: String(node.type),
+            node,
+            range: new vscode.Range(document.positionAt(start), document.positionAt(end)),
+            bounds: {
+                x: Number(node.x) || 0,
+                y: Number(node.y) || 0,
+                width: Number(node.width) || 0,
+                height: Number(node.height) || 0
+            }
+        }];
+    });
+}
+
+/**
+ * The node whose JSON contains a position in the document
+ */
+export function findNodeAt(document: vscode.TextDocument, position: vscode.Position): LocatedNode | undefined {
+    return locateCanvasNodes(document).find(node => node.range.contains(position));
+}
+
+export class CanvasSymbolProvider implements vscode.DocumentSymbolProvider {
+    public provideDocumentSymbols(document: vscode.TextDocument): vscode.DocumentSymbol[] {
+        const located = locateCanvasNodes(document);
+        const groups = located.filter(node => node.type === 'group');
+
+        const symbols = new Map<string, vscode.DocumentSymbol>();
+        for (const node of located) {
+            const symbol = new vscode.DocumentSymbol(
+                getNodeTitle(node.node),
+                this.getDetail(node),
+                SYMBOL_KINDS[node.type] ?? vscode.SymbolKind.Object,
+                node.range,
+                node.range
+            );
+            symbols.set(node.id, symbol);
+        }
+
+        // Nest every node under the smallest group that fully contains it, like the canvas does
+        const roots: vscode.DocumentSymbol[] = [];
+        for (const node of located) {
+            const parent = this.findContainingGroup(node, groups);
+            const symbol = symbols.get(node.id)!;
+            if (parent) {
+                symbols.get(parent.id)!.children.push(symbol);
+            } else {
+                roots.push(symbol);
+            }
+        }
+
+        return roots;
+    }
+
+    private getDetail(node: LocatedNode): string {
+        switch (node.type) {
+            case 'file':
+                return `${node.node.file ?? ''}${node.node.subpath ?? ''}`;
+            case 'group':
+                return 'group';
+            default:
+                return node.type;
+        }
+    }
+
+    private findContainingGroup(node: LocatedNode, groups: LocatedNode[]): LocatedNode | undefined {
+        const { x, y, width, height } = node.bounds;
+        let best: LocatedNode | undefined;
+
+        for (const group of groups) {
+            if (group.id === node.id) continue;
+
+            const g = group.bounds;
+            const contains = x >= g.x && y >= g.y && x + width <= g.x + g.width && y + height <= g.y + g.height;
+            // Strictly larger, so two identical groups cannot contain each other
+            const larger = g.width * g.height > width * height;
+
+            if (contains && larger && (!best || g.width * g.height < best.bounds.width * best.bounds.height)) {
+                best = group;
+            }
+        }
+
+        return best;
+    }
+}
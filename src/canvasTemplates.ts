@@ -0,0 +1,208 @@
+// Templates for new canvases: the built-in ones and `.canvas` files in the workspace's templates folder.
+
+import * as vscode from 'vscode';
+import * as path from 'path';
+import { randomBytes } from 'crypto';
+
+export interface CanvasTemplate {
+    label: string;
+    description?: string;
+    load: () => Promise<string>;
+}
+
+export interface TemplateValues {
+    title: string;
+    date: string;
+    workspaceName: string;
+}
+
+interface TemplateItem extends vscode.QuickPickItem {
+    template?: CanvasTemplate;
+}
+
+const DEFAULT_TEMPLATES_FOLDER = '.vscode/canvas-templates';
+
+const EMPTY_CANVAS = { nodes: [], edges: [] };
+
+const MIND_MAP = {
+    nodes: [
+        { id: 'center', type: 'text', x: -150, y: -50, width: 300, height: 100, color: '6', text: '# {{title}}' },
+        { id: 'idea-1', type: 'text', x: -500, y: -220, width: 250, height: 60, text: 'Idea' },
+        { id: 'idea-2', type: 'text', x: 250, y: -220, width: 250, height: 60, text: 'Idea' },
+        { id: 'idea-3', type: 'text', x: -500, y: 160, width: 250, height: 60, text: 'Idea' },
+        { id: 'idea-4', type: 'text', x: 250, y: 160, width: 250, height: 60, text: 'Idea' }
+    ],
+    edges: [
+        { id: 'edge-1', fromNode: 'center', fromSide: 'left', toNode: 'idea-1', toSide: 'right' },
+        { id: 'edge-2', fromNode: 'center', fromSide: 'right', toNode: 'idea-2', toSide: 'left' },
+        { id: 'edge-3', fromNode: 'center', fromSide: 'left', toNode: 'idea-3', toSide: 'right' },
+        { id: 'edge-4', fromNode: 'center', fromSide: 'right', toNode: 'idea-4', toSide: 'left' }
+    ]
+};
+
+const KANBAN = {
+    nodes: [
+        { id: 'todo', type: 'group', x: 0, y: 0, width: 320, height: 600, label: 'To Do' },
+        { id: 'doing', type: 'group', x: 360, y: 0, width: 320, height: 600, color: '3', label: 'In Progress' },
+        { id: 'done', type: 'group', x: 720, y: 0, width: 320, height: 600, color: '4', label: 'Done' },
+        { id: 'header', type: 'text', x: 0, y: -140, width: 1040, height: 100, text: '# {{title}}\nCreated {{date}}' },
+        { id: 'card-1', type: 'text', x: 20, y: 20, width: 280, height: 80, text: '**Task**\nDescribe the task' },
+        { id: 'card-2', type: 'text', x: 20, y: 120, width: 280, height: 80, text: '**Task**\nDescribe the task' }
+    ],
+    edges: []
+};
+
+const ARCHITECTURE = {
+    nodes: [
+        { id: 'frontend', type: 'group', x: 0, y: 0, width: 320, height: 200, color: '5', label: 'Frontend' },
+        { id: 'backend', type: 'group', x: 420, y: 0, width: 320, height: 340, color: '6', label: 'Backend' },
+        { id: 'data', type: 'group', x: 840, y: 0, width: 320, height: 340, color: '2', label: 'Data' },
+        { id: 'title', type: 'text', x: 0, y: -140, width: 1160, height: 100, text: '# {{title}}\n{{workspaceName}} architecture, {{date}}' },
+        { id: 'client', type: 'text', x: 30, y: 60, width: 260, height: 80, text: '**Web App**\nUser interface' },
+        { id: 'api', type: 'text', x: 450, y: 60, width: 260, height: 80, text: '**API**\nHandles requests' },
+        { id: 'worker', type: 'text', x: 450, y: 200, width: 260, height: 80, text: '**Worker**\nBackground jobs' },
+        { id: 'database', type: 'text', x: 870, y: 60, width: 260, height: 80, text: '**Database**\nPersistent storage' },
+        { id: 'cache', type: 'text', x: 870, y: 200, width: 260, height: 80, text: '**Cache**\nFast lookups' }
+    ],
+    edges: [
+        { id: 'edge-1', fromNode: 'client', fromSide: 'right', toNode: 'api', toSide: 'left', label: 'HTTP' },
+        { id: 'edge-2', fromNode: 'api', fromSide: 'right', toNode: 'database', toSide: 'left', label: 'queries' },
+        { id: 'edge-3', fromNode: 'api', fromSide: 'bottom', toNode: 'worker', toSide: 'top', label: 'jobs' },
+        { id: 'edge-4', fromNode: 'worker', fromSide: 'right', toNode: 'cache', toSide: 'left' }
+    ]
+};
+
+const BUILT_IN_TEMPLATES: CanvasTemplate[] = [
+    { label: 'Empty Canvas', load: async () => JSON.stringify(EMPTY_CANVAS) },
+    { label: 'Mind Map', description: 'A central topic with branches', load: async () => JSON.stringify(MIND_MAP) },
+    { label: 'Kanban', description: 'To Do, In Progress and Done columns', load: async () => JSON.stringify(KANBAN) },
+    { label: 'Architecture', description: 'Frontend, backend and data components', load: async () => JSON.stringify(ARCHITECTURE) }
+];
+
+/**
+ * Folder holding the workspace's canvas templates, from `infinite-canvas.templatesFolder`
+ */
+export function getTemplatesFolder(workspaceFolder: vscode.Uri): vscode.Uri {
+    const setting = vscode.workspace.getConfiguration('infinite-canvas', workspaceFolder)
+        .get<string>('templatesFolder', '')
+        .trim() || DEFAULT_TEMPLATES_FOLDER;
+    return path.isAbsolute(setting)
+        ? vscode.Uri.file(setting)
+        : vscode.Uri.joinPath(workspaceFolder, setting);
+}
+
+/**
+ * Let the user pick a template: the workspace's own first, then the built-in ones.
+ * Returns undefined if the picker was dismissed.
+ */
+export async function pickCanvasTemplate(workspaceFolder: vscode.Uri | undefined): Promise<CanvasTemplate | undefined> {
+    const workspaceTemplates = workspaceFolder ? await findWorkspaceTemplates(workspaceFolder) : [];
+
+    const items: TemplateItem[] = [];
+    if (workspaceTemplates.length > 0) {
+        items.push({ label: 'Workspace templates', kind: vscode.QuickPickItemKind.Separator });
+        items.push(...workspaceTemplates.map(template => ({ label: template.label, description: template.description, template })));
+        items.push({ label: 'Built-in', kind: vscode.QuickPickItemKind.Separator });
+    }
+    items.push(...BUILT_IN_TEMPLATES.map(template => ({ label: template.label, description: template.description, template })));
+
+    const picked = await vscode.window.showQuickPick(items, {
+        title: 'New Canvas',
+        placeHolder: 'Select a template',
+        matchOnDescription: true
+    });
+    return picked?.template;
+}
+
+async function findWorkspaceTemplates(workspaceFolder: vscode.Uri): Promise<CanvasTemplate[]> {
+    const templatesFolder = getTemplatesFolder(workspaceFolder);
+
+    let entries: [string, vscode.FileType][];
+    try {
+        entries = await vscode.workspace.fs.readDirectory(templatesFolder);
+    } catch {
+        // No templates folder in this workspace
+        return [];
+    }
+
+    return entries
+        .filter(([name, type]) => type === vscode.FileType.File && name.endsWith('.canvas'))
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([name]) => {
+            const templateUri = vscode.Uri.joinPath(templatesFolder, name);
+            return {
+                label: path.basename(name, '.canvas'),
+                description: vscode.workspace.asRelativePath(templateUri),
+                load: async () => Buffer.from(await vscode.workspace.fs.readFile(templateUri)).toString('utf8')
+            };
+        });
+}
+
+/**
+ * Fill in a template's placeholders and give its nodes and edges fresh IDs, so canvases
+ * created from the same template (or copied into each other) never share IDs.
+ * Throws if the template is not valid canvas JSON.
+ */
+export function instantiateTemplate(content: string, values: TemplateValues): string {
+    const canvas = JSON.parse(content);
+    if (!canvas || typeof canvas !== 'object' || Array.isArray(canvas)) {
+        throw new Error('Template is not a canvas');
+    }
+
+    const filled = fillPlaceholders(canvas, values);
+    const nodes: any[] = Array.isArray(filled.nodes) ? filled.nodes : [];
+    const edges: any[] = Array.isArray(filled.edges) ? filled.edges : [];
+
+    const nodeIds = new Map<string, string>();
+    for (const node of nodes) {
+        if (node && typeof node.id === 'string') {
+            nodeIds.set(node.id, createCanvasId());
+        }
+    }
+
+    return JSON.stringify({
+        ...filled,
+        nodes: nodes.map(node => node && nodeIds.has(node.id) ? { ...node, id: nodeIds.get(node.id) } : node),
+        edges: edges.map(edge => edge && typeof edge === 'object'
+            ? {
+                ...edge,
+                id: createCanvasId(),
+                fromNode: nodeIds.get(edge.fromNode) ?? edge.fromNode,
+                toNode: nodeIds.get(edge.toNode) ?? edge.toNode
+            }
+            : edge)
+    }, null, 2);
+}
+
+/**
+ * A random ID in the format Obsidian uses for nodes and edges (16 hex characters)
+ */
+export function createCanvasId(): string {
+    return randomBytes(8).toString('hex');
+}
+
+/**
+ * A date as YYYY-MM-DD in local time, the value of {{date}}
+ */
+export function formatDate(date: Date): string {
+    const pad = (value: number) => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Replace {{placeholders}} in every string of the template; unknown ones are left as they are
+ */
+function fillPlaceholders(value: any, values: TemplateValues): any {
+    if (typeof value === 'string') {
+        return value.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name: string) =>
+            Object.prototype.hasOwnProperty.call(values, name) ? values[name as keyof TemplateValues] : match
+        );
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => fillPlaceholders(item, values));
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, fillPlaceholders(item, values)]));
+    }
+    return value;
+}
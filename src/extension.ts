@@ -1,5 +1,18 @@
 import * as vscode from 'vscode';
 import * as path from 'path';
+import { computeCanvasEdits } from './canvasEdits';
+import { getVaultRoot, resolveCanvasFilePath, toCanvasFilePath } from './canvasPaths';
+import { updateCanvasReferences } from './canvasRenames';
+import { pickReplacementFile } from './missingFiles';
+import { CanvasIndex } from './canvasIndex';
+import { CanvasReferencesProvider } from './canvasReferencesView';
+import { CanvasSymbolProvider, findNodeAt } from './canvasSymbols';
+import { CanvasWorkspaceSymbolProvider, pickCanvasNode } from './canvasSearch';
+import { revealFileInCanvas } from './revealInCanvas';
+import { CanvasCodeLensProvider } from './canvasCodeLens';
+import { pickCanvasTemplate, instantiateTemplate, formatDate } from './canvasTemplates';
+import { visualizeFolder } from './folderCanvas';
+import { createMindMapFromHeadings } from './markdownMindMap';
 
 export function activate(context: vscode.ExtensionContext) {
     console.log('Infinite Canvas extension is now active!');
@@ -12,13 +25,19 @@ export function activate(context: vscode.ExtensionContext) {
     );
 
     // Register the new canvas command
-    const newCanvasCommand = vscode.commands.registerCommand('infinite-canvas.newCanvas', async () => {
-        const workspaceFolder = vscode.workspace.workspaceFolders?.[0];
-        if (!workspaceFolder) {
+    const newCanvasCommand = vscode.commands.registerCommand('infinite-canvas.newCanvas', async (target?: vscode.Uri) => {
+        const targetFolder = await getNewCanvasFolder(target);
+        if (!targetFolder) {
             vscode.window.showErrorMessage('Please open a workspace to create a new canvas');
             return;
         }
 
+        const workspaceFolder = vscode.workspace.getWorkspaceFolder(targetFolder);
+        const template = await pickCanvasTemplate(workspaceFolder?.uri ?? vscode.workspace.workspaceFolders?.[0]?.uri);
+        if (!template) {
+            return;
+        }
+
         const fileName = await vscode.window.showInputBox({
             prompt: 'Enter canvas file name',
             value: 'untitled.canvas',
@@ -31,45 +50,306 @@ export function activate(context: vscode.ExtensionContext) {
         });
 
         if (fileName) {
-            const filePath = vscode.Uri.joinPath(workspaceFolder.uri, fileName);
+            const filePath = vscode.Uri.joinPath(targetFolder, fileName);
+
             // Create new files in Obsidian-compatible format
-            const initialContent = JSON.stringify({
-                nodes: [],
-                edges: []
-            }, null, 2);
+            let initialContent: string;
+            try {
+                initialContent = instantiateTemplate(await template.load(), {
+                    title: path.basename(fileName, '.canvas'),
+                    date: formatDate(new Date()),
+                    workspaceName: vscode.workspace.name ?? workspaceFolder?.name ?? ''
+                });
+            } catch (error) {
+                vscode.window.showErrorMessage(`Invalid canvas template "${template.label}": ${error instanceof Error ? error.message : error}`);
+                return;
+            }
 
             await vscode.workspace.fs.writeFile(filePath, Buffer.from(initialContent));
             await vscode.commands.executeCommand('vscode.open', filePath);
         }
     });
 
-    context.subscriptions.push(registration, newCanvasCommand);
+    // Map of a folder's files, from the explorer's context menu
+    const visualizeFolderCommand = vscode.commands.registerCommand('infinite-canvas.visualizeFolder', async (folderUri?: vscode.Uri) => {
+        if (!folderUri) {
+            vscode.window.showErrorMessage('Right-click a folder in the explorer to visualize it');
+            return;
+        }
+
+        try {
+            await visualizeFolder(folderUri);
+        } catch (error) {
+            console.error('Error visualizing folder:', error);
+            vscode.window.showErrorMessage(`Failed to visualize folder: ${error}`);
+        }
+    });
+
+    // Mind map of a markdown file's headings (from the palette, an editor tab or the explorer)
+    const mindMapCommand = vscode.commands.registerCommand('infinite-canvas.createMindMapFromHeadings', async (uri?: vscode.Uri) => {
+        const markdownUri = uri ?? vscode.window.activeTextEditor?.document.uri;
+        if (!markdownUri) {
+            vscode.window.showErrorMessage('Open a markdown file to create a mind map from its headings');
+            return;
+        }
+
+        try {
+            await createMindMapFromHeadings(markdownUri);
+        } catch (error) {
+            console.error('Error creating mind map:', error);
+            vscode.window.showErrorMessage(`Failed to create mind map: ${error}`);
+        }
+    });
+
+    // Keep file nodes pointing at files that are renamed or moved
+    const renameSubscription = vscode.workspace.onDidRenameFiles(e => {
+        updateCanvasReferences(e.files).catch(error => {
+            console.error('Error updating canvas references:', error);
+        });
+    });
+
+    // Index of all canvases in the workspace and the views built on it
+    const canvasIndex = new CanvasIndex();
+    const referencesProvider = new CanvasReferencesProvider(canvasIndex);
+
+    // Open a canvas and center the viewport on one of its nodes
+    const revealNodeCommand = vscode.commands.registerCommand('infinite-canvas.revealNode', async (canvasUri: vscode.Uri, nodeId: string) => {
+        await provider.revealNode(canvasUri, nodeId);
+    });
+
+    // Outline and breadcrumbs for canvases opened as text
+    const symbolProvider = vscode.languages.registerDocumentSymbolProvider(
+        { language: 'canvas' },
+        new CanvasSymbolProvider()
+    );
+
+    // Picking a symbol (Outline, breadcrumbs, Go to Symbol) reveals the node in the canvas
+    // editor, opening it if needed; clicking a node's JSON only moves a canvas that is open.
+    // Edits, undo and Find change the selection too (no kind) and must not open or focus anything.
+    const selectionSubscription = vscode.window.onDidChangeTextEditorSelection(e => {
+        const document = e.textEditor.document;
+        if (document.languageId !== 'canvas' || e.kind === undefined || e.kind === vscode.TextEditorSelectionChangeKind.Keyboard) {
+            return;
+        }
+
+        const node = findNodeAt(document, e.selections[0].active);
+        if (!node) {
+            return;
+        }
+
+        if (e.kind === vscode.TextEditorSelectionChangeKind.Mouse) {
+            provider.postRevealNode(document.uri, node.id);
+        } else {
+            provider.revealNode(document.uri, node.id).catch(error => {
+                console.error('Error revealing node:', error);
+            });
+        }
+    });
+
+    // Search nodes across all canvases
+    const workspaceSymbolProvider = vscode.languages.registerWorkspaceSymbolProvider(
+        new CanvasWorkspaceSymbolProvider(canvasIndex, (canvasUri, nodeId) => provider.queueRevealNode(canvasUri, nodeId))
+    );
+    const findNodeCommand = vscode.commands.registerCommand('infinite-canvas.findNode', async () => {
+        const result = await pickCanvasNode(canvasIndex);
+        if (result) {
+            await provider.revealNode(result.canvas.uri, result.node.id);
+        }
+    });
+
+    // Jump from a file to the canvas nodes showing it (from the palette or an editor tab)
+    const revealInCanvasCommand = vscode.commands.registerCommand('infinite-canvas.revealInCanvas', async (uri?: vscode.Uri) => {
+        const fileUri = uri ?? vscode.window.activeTextEditor?.document.uri;
+        if (!fileUri) {
+            vscode.window.showErrorMessage('Open a file to reveal it in a canvas');
+            return;
+        }
+
+        await revealFileInCanvas(canvasIndex, fileUri, (canvasUri, nodeId) => provider.revealNode(canvasUri, nodeId));
+    });
+
+    // "Used in N canvases" above markdown files
+    const codeLensProvider = new CanvasCodeLensProvider(canvasIndex);
+    const codeLensRegistration = vscode.languages.registerCodeLensProvider({ language: 'markdown' }, codeLensProvider);
+
+    // Editor commands for the active canvas (palette and keybindings), run by its webview
+    const canvasCommands = ['addTextNode', 'fitView', 'zoomToSelection', 'deleteSelection', 'export', 'toggleMinimap']
+        .map(command => vscode.commands.registerCommand(`infinite-canvas.${command}`, () => {
+            provider.runCanvasCommand(command);
+        }));
+    const addFileNodeCommand = vscode.commands.registerCommand('infinite-canvas.addFileNode', async () => {
+        await provider.addFileNodes();
+    });
+
+    context.subscriptions.push(
+        registration,
+        newCanvasCommand,
+        visualizeFolderCommand,
+        mindMapCommand,
+        renameSubscription,
+        canvasIndex,
+        referencesProvider,
+        revealNodeCommand,
+        symbolProvider,
+        selectionSubscription,
+        workspaceSymbolProvider,
+        findNodeCommand,
+        revealInCanvasCommand,
+        codeLensProvider,
+        codeLensRegistration,
+        ...canvasCommands,
+        addFileNodeCommand
+    );
 }
 
 export function deactivate() {}
 
+/**
+ * Folder to create a new canvas in: the folder clicked in the explorer, else the
+ * workspace folder of the active editor, else the first workspace folder
+ */
+async function getNewCanvasFolder(target?: vscode.Uri): Promise<vscode.Uri | undefined> {
+    if (target) {
+        try {
+            const stat = await vscode.workspace.fs.stat(target);
+            return stat.type & vscode.FileType.Directory ? target : vscode.Uri.joinPath(target, '..');
+        } catch {
+            // Fall through to the workspace folders
+        }
+    }
+
+    const activeUri = vscode.window.activeTextEditor?.document.uri;
+    const activeFolder = activeUri ? vscode.workspace.getWorkspaceFolder(activeUri) : undefined;
+    return (activeFolder ?? vscode.workspace.workspaceFolders?.[0])?.uri;
+}
+
+interface FileWatch {
+    watcher: vscode.FileSystemWatcher;
+    filePath: string;
+    resource: boolean; // Images get a fresh webview URI instead of their content
+    nodeIds: Set<string>;
+}
+
 class CanvasEditorProvider implements vscode.CustomTextEditorProvider {
     private static readonly viewType = 'infinite-canvas.canvasEditor';
     private isSaving = false; // Track when we're saving to prevent reload loops
+    private readonly webviewPanels = new Map<string, vscode.WebviewPanel>(); // Open canvases by document URI
+    private readonly pendingReveals = new Map<string, string>(); // Node to reveal once a canvas has loaded
+    private activeCanvas: { document: vscode.TextDocument; webviewPanel: vscode.WebviewPanel } | undefined; // Target of editor commands
 
     constructor(private readonly extensionUri: vscode.Uri) {}
 
+    /**
+     * Open a canvas (or switch to it) and center the viewport on a node
+     */
+    public async revealNode(canvasUri: vscode.Uri, nodeId: string): Promise<void> {
+        const webviewPanel = this.webviewPanels.get(canvasUri.toString());
+        if (webviewPanel) {
+            webviewPanel.reveal();
+            this.postRevealNode(canvasUri, nodeId);
+            return;
+        }
+
+        this.queueRevealNode(canvasUri, nodeId);
+        await vscode.commands.executeCommand('vscode.openWith', canvasUri, CanvasEditorProvider.viewType);
+    }
+
+    /**
+     * Reveal a node in a canvas that is about to be opened by someone else (e.g. VS Code
+     * opening a workspace symbol), or right away if it is already open
+     */
+    public queueRevealNode(canvasUri: vscode.Uri, nodeId: string): void {
+        if (!this.postRevealNode(canvasUri, nodeId)) {
+            // A new webview first has to load the canvas; the node is revealed when it is ready
+            this.pendingReveals.set(canvasUri.toString(), nodeId);
+        }
+    }
+
+    /**
+     * Center an already open canvas editor on a node without focusing it.
+     * Returns false if the canvas is not open.
+     */
+    public postRevealNode(canvasUri: vscode.Uri, nodeId: string): boolean {
+        const webviewPanel = this.webviewPanels.get(canvasUri.toString());
+        if (!webviewPanel) {
+            return false;
+        }
+
+        webviewPanel.webview.postMessage({ type: 'revealNode', nodeId });
+        return true;
+    }
+
+    /**
+     * Send an editor command to the active canvas
+     */
+    public runCanvasCommand(command: string, args: Record<string, unknown> = {}): void {
+        if (!this.activeCanvas) {
+            vscode.window.showErrorMessage('Open a canvas to run this command');
+            return;
+        }
+
+        this.activeCanvas.webviewPanel.webview.postMessage({ type: 'runCommand', command, ...args });
+    }
+
+    /**
+     * Let the user pick files and add a file node for each one to a canvas (the active one by default)
+     */
+    public async addFileNodes(canvas = this.activeCanvas): Promise<void> {
+        if (!canvas) {
+            vscode.window.showErrorMessage('Open a canvas to add file nodes');
+            return;
+        }
+
+        const fileUris = await vscode.window.showOpenDialog({
+            title: 'Add File Nodes',
+            defaultUri: getVaultRoot(canvas.document.uri),
+            canSelectMany: true,
+            openLabel: 'Add to Canvas'
+        });
+        if (!fileUris || fileUris.length === 0) {
+            return;
+        }
+
+        const filePaths = fileUris.map(fileUri => toCanvasFilePath(canvas.document.uri, fileUri));
+        canvas.webviewPanel.webview.postMessage({ type: 'runCommand', command: 'addFileNodes', filePaths });
+    }
+
     public async resolveCustomTextEditor(
         document: vscode.TextDocument,
         webviewPanel: vscode.WebviewPanel,
         _token: vscode.CancellationToken
     ): Promise<void> {
         // Setup initial webview options
+        // Workspace folders and the vault root are included so image file nodes can be displayed
         webviewPanel.webview.options = {
             enableScripts: true,
             localResourceRoots: [
-                vscode.Uri.joinPath(this.extensionUri, 'webview-dist')
+                vscode.Uri.joinPath(this.extensionUri, 'webview-dist'),
+                vscode.Uri.joinPath(document.uri, '..'),
+                getVaultRoot(document.uri),
+                ...(vscode.workspace.workspaceFolders?.map(folder => folder.uri) ?? [])
             ]
         };
 
         // Set the HTML content
         webviewPanel.webview.html = this.getHtmlForWebview(webviewPanel.webview);
 
+        // Files referenced by this canvas that the webview asked to keep up to date
+        const fileWatchers = new Map<string, FileWatch>();
+
+        const documentKey = document.uri.toString();
+        this.webviewPanels.set(documentKey, webviewPanel);
+
+        // Editor commands go to the canvas that was focused last
+        if (webviewPanel.active) {
+            this.activeCanvas = { document, webviewPanel };
+        }
+        webviewPanel.onDidChangeViewState(e => {
+            if (e.webviewPanel.active) {
+                this.activeCanvas = { document, webviewPanel };
+            }
+        });
+
         // Handle updates from the webview
         webviewPanel.webview.onDidReceiveMessage(
             async (message) => {
@@ -88,15 +368,51 @@ class CanvasEditorProvider implements vscode.CustomTextEditorProvider {
                             type: 'loadContent',
                             content: document.getText()
                         });
+
+                        const pendingReveal = this.pendingReveals.get(documentKey);
+                        if (pendingReveal) {
+                            this.pendingReveals.delete(documentKey);
+                            webviewPanel.webview.postMessage({ type: 'revealNode', nodeId: pendingReveal });
+                        }
                         break;
                     case 'loadFile':
-                        await this.loadFileContent(webviewPanel, message.filePath, message.nodeId);
+                        await this.loadFileContent(webviewPanel, document.uri, message.filePath, message.nodeId);
+                        break;
+                    case 'resolveResource':
+                        await this.resolveResource(webviewPanel, document.uri, message.filePath, message.nodeId);
+                        break;
+                    case 'resolveDroppedFiles':
+                        this.resolveDroppedFiles(webviewPanel, document.uri, message.uris, message.requestId);
                         break;
                     case 'saveFile':
-                        await this.saveFileContent(message.filePath, message.content, webviewPanel, message.nodeId);
+                        await this.saveFileContent(document.uri, message.filePath, message.content, webviewPanel, message.nodeId);
                         break;
                     case 'createFile':
-                        await this.createFile(message.filePath, message.content, webviewPanel);
+                        await this.createFile(document.uri, message.filePath, message.content, webviewPanel);
+                        break;
+                    case 'openCanvas':
+                        await this.openCanvas(document.uri, message.filePath);
+                        break;
+                    case 'watchFile':
+                        this.watchFile(webviewPanel, document.uri, fileWatchers, message.filePath, message.nodeId, !!message.resource);
+                        break;
+                    case 'unwatchFile':
+                        this.unwatchFile(fileWatchers, message.nodeId);
+                        break;
+                    case 'relinkFile':
+                        await this.relinkFile(webviewPanel, document.uri, message.filePath, message.nodeId);
+                        break;
+                    case 'openFile':
+                        await this.openFileInEditor(document.uri, message.filePath, message.line);
+                        break;
+                    case 'openExternal':
+                        await this.openExternalLink(message.url);
+                        break;
+                    case 'pickFiles':
+                        await this.addFileNodes({ document, webviewPanel });
+                        break;
+                    case 'exportCanvas':
+                        await this.exportCanvas(document.uri, message.content, message.format);
                         break;
                     case 'getGroqApiKey':
                         // Send Groq API key to webview if available
@@ -115,8 +431,11 @@ class CanvasEditorProvider implements vscode.CustomTextEditorProvider {
         // Handle document changes (when file is changed externally)
         const changeDocumentSubscription = vscode.workspace.onDidChangeTextDocument(e => {
             if (e.document.uri.toString() === document.uri.toString()) {
-                // Don't reload if we're currently saving (prevents save/reload loops)
-                if (!this.isSaving) {
+                // Undo/redo of the canvas's own edits must always reach the webview.
+                // Otherwise don't reload if we're currently saving (prevents save/reload loops)
+                const isUndoRedo = e.reason === vscode.TextDocumentChangeReason.Undo ||
+                    e.reason === vscode.TextDocumentChangeReason.Redo;
+                if (isUndoRedo || !this.isSaving) {
                     webviewPanel.webview.postMessage({
                         type: 'loadContent',
                         content: document.getText()
@@ -129,40 +448,44 @@ class CanvasEditorProvider implements vscode.CustomTextEditorProvider {
 
         // Clean up when webview is disposed
         webviewPanel.onDidDispose(() => {
+            if (this.webviewPanels.get(documentKey) === webviewPanel) {
+                this.webviewPanels.delete(documentKey);
+            }
+            if (this.activeCanvas?.webviewPanel === webviewPanel) {
+                this.activeCanvas = undefined;
+            }
             changeDocumentSubscription.dispose();
+            fileWatchers.forEach(watch => watch.watcher.dispose());
+            fileWatchers.clear();
         });
     }
 
     private async saveDocument(document: vscode.TextDocument, content: string): Promise<void> {
+        // Only touch the parts of the document that changed, keeping the formatting
+        // of untouched nodes and the cursors of other editors on this file
+        const textEdits = computeCanvasEdits(document.getText(), content);
+        if (textEdits.length === 0) {
+            return;
+        }
+
         const edit = new vscode.WorkspaceEdit();
-        
-        // Replace the entire document content
-        edit.replace(
-            document.uri,
-            new vscode.Range(0, 0, document.lineCount, 0),
-            content
-        );
+        for (const textEdit of textEdits) {
+            edit.replace(
+                document.uri,
+                new vscode.Range(document.positionAt(textEdit.start), document.positionAt(textEdit.end)),
+                textEdit.text
+            );
+        }
 
         await vscode.workspace.applyEdit(edit);
     }
 
-    private async loadFileContent(webviewPanel: vscode.WebviewPanel, filePath: string, nodeId: string): Promise<void> {
+    private async loadFileContent(webviewPanel: vscode.WebviewPanel, canvasUri: vscode.Uri, filePath: string, nodeId: string): Promise<void> {
         try {
             console.log('Loading file content for:', filePath);
             
-            let fileUri: vscode.Uri;
-            const workspaceFolder = vscode.workspace.workspaceFolders?.[0];
-            
-            if (!workspaceFolder) {
-                throw new Error('No workspace folder found');
-            }
-
-            // Convert old absolute-like paths to relative paths
-            let normalizedPath = this.normalizeToRelativePath(filePath, workspaceFolder.uri.fsPath);
-            console.log('Normalized path:', normalizedPath);
-            
-            // Always treat the path as relative to workspace
-            fileUri = vscode.Uri.joinPath(workspaceFolder.uri, normalizedPath);
+            // Paths are relative to the vault root of this canvas
+            const fileUri = resolveCanvasFilePath(canvasUri, filePath);
             
             // Check if file exists and read content
             const fileStats = await vscode.workspace.fs.stat(fileUri);
@@ -184,57 +507,141 @@ class CanvasEditorProvider implements vscode.CustomTextEditorProvider {
             webviewPanel.webview.postMessage({
                 type: 'fileContentError',
                 nodeId: nodeId,
-                error: `Failed to load file: ${filePath}`
+                error: `Failed to load file: ${filePath}`,
+                missing: this.isFileNotFound(error)
+            });
+        }
+    }
+
+    /**
+     * Turn the URIs of files dropped on a canvas into file node paths. Older drag sources
+     * send plain paths instead of URIs.
+     */
+    private resolveDroppedFiles(webviewPanel: vscode.WebviewPanel, canvasUri: vscode.Uri, uris: string[], requestId: string): void {
+        const filePaths = uris.map(uri => {
+            const fileUri = /^[a-z][\w+.-]+:\/\//i.test(uri) ? vscode.Uri.parse(uri) : vscode.Uri.file(uri);
+            return toCanvasFilePath(canvasUri, fileUri);
+        });
+        webviewPanel.webview.postMessage({ type: 'droppedFilesResolved', requestId, filePaths });
+    }
+
+    private async resolveResource(webviewPanel: vscode.WebviewPanel, canvasUri: vscode.Uri, filePath: string, nodeId: string): Promise<void> {
+        try {
+            const fileUri = resolveCanvasFilePath(canvasUri, filePath);
+
+            // Make sure the file exists before handing out a URI for it
+            const fileStats = await vscode.workspace.fs.stat(fileUri);
+
+            // The modification time makes the webview fetch the image again after it changed
+            webviewPanel.webview.postMessage({
+                type: 'resourceResolved',
+                nodeId: nodeId,
+                uri: webviewPanel.webview.asWebviewUri(fileUri).with({ query: `v=${fileStats.mtime}` }).toString()
+            });
+
+        } catch (error) {
+            console.error('Error resolving resource:', error);
+
+            webviewPanel.webview.postMessage({
+                type: 'fileContentError',
+                nodeId: nodeId,
+                error: `Failed to load file: ${filePath}`,
+                missing: this.isFileNotFound(error)
             });
         }
     }
 
-    private normalizeToRelativePath(filePath: string, workspacePath: string): string {
-        // If it's already a simple relative path, return as-is
-        if (!filePath.includes('/') || (!filePath.startsWith('/') && !filePath.startsWith('Users'))) {
-            return filePath;
+    private async openCanvas(canvasUri: vscode.Uri, filePath: string): Promise<void> {
+        try {
+            const fileUri = resolveCanvasFilePath(canvasUri, filePath);
+            await vscode.commands.executeCommand('vscode.openWith', fileUri, CanvasEditorProvider.viewType);
+        } catch (error) {
+            console.error('Error opening canvas:', error);
+            vscode.window.showErrorMessage(`Failed to open canvas: ${filePath}`);
         }
-        
-        // Handle paths that start with 'Users' (absolute paths with leading slash removed)
-        if (filePath.startsWith('Users')) {
-            const fullPath = '/' + filePath;
-            
-            // If the path starts with our workspace path, make it relative
-            if (fullPath.startsWith(workspacePath)) {
-                const relativePath = fullPath.substring(workspacePath.length + 1);
-                console.log('Converted stored absolute path to relative:', filePath, '->', relativePath);
-                return relativePath;
+    }
+
+    private watchFile(
+        webviewPanel: vscode.WebviewPanel,
+        canvasUri: vscode.Uri,
+        fileWatchers: Map<string, FileWatch>,
+        filePath: string,
+        nodeId: string,
+        resource: boolean
+    ): void {
+        const fileUri = resolveCanvasFilePath(canvasUri, filePath);
+
+        const key = resource ? `${fileUri.toString()}#resource` : fileUri.toString();
+        const existing = fileWatchers.get(key);
+        if (existing) {
+            existing.nodeIds.add(nodeId);
+            return;
+        }
+
+        const watcher = vscode.workspace.createFileSystemWatcher(
+            new vscode.RelativePattern(vscode.Uri.joinPath(fileUri, '..'), path.posix.basename(fileUri.path))
+        );
+        const watch: FileWatch = { watcher, filePath, resource, nodeIds: new Set([nodeId]) };
+
+        // Push fresh content (with its mtime) to every node showing this file
+        const pushContent = async () => {
+            for (const watchedNodeId of watch.nodeIds) {
+                if (watch.resource) {
+                    await this.resolveResource(webviewPanel, canvasUri, watch.filePath, watchedNodeId);
+                } else {
+                    await this.loadFileContent(webviewPanel, canvasUri, watch.filePath, watchedNodeId);
+                }
             }
+        };
+        watcher.onDidChange(pushContent);
+        watcher.onDidCreate(pushContent);
+        watcher.onDidDelete(() => {
+            for (const watchedNodeId of watch.nodeIds) {
+                webviewPanel.webview.postMessage({
+                    type: 'fileContentError',
+                    nodeId: watchedNodeId,
+                    error: `File not found: ${watch.filePath}`,
+                    missing: true
+                });
+            }
+        });
+
+        fileWatchers.set(key, watch);
+    }
+
+    private isFileNotFound(error: unknown): boolean {
+        return error instanceof vscode.FileSystemError && error.code === 'FileNotFound';
+    }
+
+    private async relinkFile(webviewPanel: vscode.WebviewPanel, canvasUri: vscode.Uri, filePath: string, nodeId: string): Promise<void> {
+        const newPath = await pickReplacementFile(canvasUri, filePath);
+        if (!newPath) {
+            return;
         }
-        
-        // If it's an absolute path
-        if (filePath.startsWith('/')) {
-            // If the path starts with our workspace path, make it relative
-            if (filePath.startsWith(workspacePath)) {
-                const relativePath = filePath.substring(workspacePath.length + 1);
-                console.log('Converted absolute path to relative:', filePath, '->', relativePath);
-                return relativePath;
+
+        console.log('🔗 Relinked file node:', filePath, '->', newPath);
+        webviewPanel.webview.postMessage({
+            type: 'fileRelinked',
+            nodeId: nodeId,
+            filePath: newPath
+        });
+    }
+
+    private unwatchFile(fileWatchers: Map<string, FileWatch>, nodeId: string): void {
+        for (const [key, watch] of fileWatchers) {
+            watch.nodeIds.delete(nodeId);
+            if (watch.nodeIds.size === 0) {
+                watch.watcher.dispose();
+                fileWatchers.delete(key);
             }
         }
-        
-        // Fallback: return as-is
-        return filePath;
     }
-    
-    private async saveFileContent(filePath: string, content: string, webviewPanel: vscode.WebviewPanel, nodeId: string): Promise<void> {
+
+    private async saveFileContent(canvasUri: vscode.Uri, filePath: string, content: string, webviewPanel: vscode.WebviewPanel, nodeId: string): Promise<void> {
         try {
             console.log('Saving file content for:', filePath);
             
-            const workspaceFolder = vscode.workspace.workspaceFolders?.[0];
-            if (!workspaceFolder) {
-                throw new Error('No workspace folder found');
-            }
-            
-            // Normalize the path to be relative
-            const normalizedPath = this.normalizeToRelativePath(filePath, workspaceFolder.uri.fsPath);
-            console.log('Normalized save path:', normalizedPath);
-            
-            const fileUri = vscode.Uri.joinPath(workspaceFolder.uri, normalizedPath);
+            const fileUri = resolveCanvasFilePath(canvasUri, filePath);
             
             // Write content to file
             const fileContent = Buffer.from(content, 'utf8');
@@ -262,20 +669,11 @@ class CanvasEditorProvider implements vscode.CustomTextEditorProvider {
         }
     }
     
-    private async createFile(filePath: string, content: string, webviewPanel: vscode.WebviewPanel): Promise<void> {
+    private async createFile(canvasUri: vscode.Uri, filePath: string, content: string, webviewPanel: vscode.WebviewPanel): Promise<void> {
         try {
             console.log('Creating new file:', filePath);
             
-            const workspaceFolder = vscode.workspace.workspaceFolders?.[0];
-            if (!workspaceFolder) {
-                throw new Error('No workspace folder found');
-            }
-            
-            // Normalize the path to be relative
-            const normalizedPath = this.normalizeToRelativePath(filePath, workspaceFolder.uri.fsPath);
-            console.log('Normalized create path:', normalizedPath);
-            
-            const fileUri = vscode.Uri.joinPath(workspaceFolder.uri, normalizedPath);
+            const fileUri = resolveCanvasFilePath(canvasUri, filePath);
             
             // Create directories if they don't exist
             const dirUri = vscode.Uri.joinPath(fileUri, '..');
@@ -290,7 +688,7 @@ class CanvasEditorProvider implements vscode.CustomTextEditorProvider {
             const fileContent = Buffer.from(content, 'utf8');
             await vscode.workspace.fs.writeFile(fileUri, fileContent);
             
-            console.log('✅ File created successfully:', normalizedPath);
+            console.log('✅ File created successfully:', fileUri.fsPath);
             
         } catch (error) {
             console.error('Error creating file:', error);
@@ -298,6 +696,66 @@ class CanvasEditorProvider implements vscode.CustomTextEditorProvider {
         }
     }
 
+    private async openFileInEditor(canvasUri: vscode.Uri, filePath: string, line?: number): Promise<void> {
+        try {
+            const fileUri = resolveCanvasFilePath(canvasUri, filePath);
+
+            // Lines from the webview are 1-based
+            const position = new vscode.Position(Math.max((line ?? 1) - 1, 0), 0);
+            await vscode.window.showTextDocument(fileUri, {
+                viewColumn: vscode.ViewColumn.Beside,
+                selection: new vscode.Range(position, position)
+            });
+
+        } catch (error) {
+            console.error('Error opening file:', error);
+            vscode.window.showErrorMessage(`Failed to open file: ${filePath}`);
+        }
+    }
+
+    private async openExternalLink(url: string): Promise<void> {
+        let uri: vscode.Uri;
+        try {
+            uri = vscode.Uri.parse(url, true);
+        } catch (error) {
+            vscode.window.showErrorMessage(`Invalid link: ${url}`);
+            return;
+        }
+
+        // Only hand web and mail links to the OS, never file: or command: URIs
+        if (!['http', 'https', 'mailto'].includes(uri.scheme)) {
+            vscode.window.showErrorMessage(`Unsupported link: ${url}`);
+            return;
+        }
+
+        await vscode.env.openExternal(uri);
+    }
+
+    private async exportCanvas(canvasUri: vscode.Uri, content: string, format: string): Promise<void> {
+        const canvasName = path.basename(canvasUri.fsPath, '.canvas');
+        const targetUri = await vscode.window.showSaveDialog({
+            title: 'Export Canvas',
+            defaultUri: vscode.Uri.joinPath(canvasUri, '..', `${canvasName}.${format}`),
+            filters: { [format.toUpperCase()]: [format] }
+        });
+        if (!targetUri) {
+            return;
+        }
+
+        try {
+            await vscode.workspace.fs.writeFile(targetUri, Buffer.from(content, 'utf8'));
+            console.log('✅ Exported canvas to:', targetUri.fsPath);
+
+            const action = await vscode.window.showInformationMessage(`Exported ${path.basename(targetUri.fsPath)}`, 'Open');
+            if (action === 'Open') {
+                await vscode.commands.executeCommand('vscode.open', targetUri);
+            }
+        } catch (error) {
+            console.error('❌ Error exporting canvas:', error);
+            vscode.window.showErrorMessage(`Failed to export canvas: ${error}`);
+        }
+    }
+
     private getHtmlForWebview(webview: vscode.Webview): string {
         // Get URIs for Svelte bundle
         const webviewDistUri = vscode.Uri.joinPath(this.extensionUri, 'webview-dist');
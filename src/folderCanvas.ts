@@ -0,0 +1,235 @@
+// "Visualize Folder as Canvas": a map of a folder's markdown and code files.
+//
+// Every folder becomes a group holding its files in a grid. The groups are laid out as a
+// tree from left to right, with an edge from each folder to its subfolders.
+
+import * as vscode from 'vscode';
+import * as path from 'path';
+import { toCanvasFilePath } from './canvasPaths';
+import { createCanvasId } from './canvasTemplates';
+
+// Markdown plus the languages file nodes highlight as code
+const FILE_EXTENSIONS = new Set([
+    'md', 'markdown',
+    'sh', 'bash', 'zsh', 'c', 'h', 'cpp', 'cc', 'hpp', 'cs', 'css', 'scss', 'go', 'java',
+    'js', 'jsx', 'mjs', 'cjs', 'php', 'py', 'rb', 'rs', 'sql', 'ts', 'tsx', 'mts', 'cts',
+    'html', 'svelte', 'vue'
+]);
+// Dependency and build output folders, skipped on top of the user's `files.exclude`
+const SKIPPED_FOLDERS = new Set(['node_modules', 'out', 'dist', 'build']);
+// Larger canvases get slow to open; the rest of the folder is left out
+const MAX_FILES = 500;
+
+const FILE_WIDTH = 250;
+const FILE_HEIGHT = 150;
+const FILE_GAP = 20;
+const COLUMNS = 3;
+const GROUP_PADDING = 20;
+const EMPTY_GROUP_HEIGHT = 100;
+const LEVEL_GAP = 200; // Between a folder and its subfolders
+const SIBLING_GAP = 80; // Between subfolder trees
+
+interface FolderEntry {
+    name: string;
+    files: vscode.Uri[];
+    folders: Map<string, FolderEntry>;
+}
+
+interface Size {
+    width: number;
+    height: number;
+}
+
+/**
+ * Create a canvas inside a folder that maps its files by subfolder, then open it
+ */
+export async function visualizeFolder(folderUri: vscode.Uri): Promise<void> {
+    const folderName = path.posix.basename(folderUri.path);
+    const canvasUri = vscode.Uri.joinPath(folderUri, `${folderName}.canvas`);
+
+    if (await exists(canvasUri)) {
+        const overwrite = await vscode.window.showWarningMessage(
+            `${folderName}.canvas already exists in this folder. Replace it?`,
+            { modal: true },
+            'Replace'
+        );
+        if (overwrite !== 'Replace') {
+            return;
+        }
+    }
+
+    // Files of other types are dropped afterwards, so allow for more results than are shown
+    const files = await vscode.workspace.findFiles(
+        new vscode.RelativePattern(folderUri, '**/*'),
+        getExcludePattern(folderUri),
+        MAX_FILES * 10
+    );
+    const shownFiles = files
+        .filter(fileUri => FILE_EXTENSIONS.has(path.posix.extname(fileUri.path).slice(1).toLowerCase()))
+        .sort((a, b) => a.path.localeCompare(b.path));
+
+    if (shownFiles.length === 0) {
+        vscode.window.showInformationMessage(`${folderName} has no markdown or code files to show.`);
+        return;
+    }
+    if (shownFiles.length > MAX_FILES) {
+        vscode.window.showWarningMessage(`${folderName} has more than ${MAX_FILES} files; only the first ${MAX_FILES} are shown.`);
+    }
+
+    const root = buildFolderTree(folderUri, folderName, shownFiles.slice(0, MAX_FILES));
+    const canvas = layoutFolderCanvas(root, fileUri => toCanvasFilePath(canvasUri, fileUri));
+
+    await vscode.workspace.fs.writeFile(canvasUri, Buffer.from(JSON.stringify(canvas, null, 2)));
+    await vscode.commands.executeCommand('vscode.open', canvasUri);
+    console.log('🗺️ Visualized folder:', folderUri.fsPath, `(${canvas.nodes.length} nodes)`);
+}
+
+/**
+ * The skipped folders plus the user's `files.exclude`, which findFiles would ignore once it
+ * is given an exclude pattern of its own
+ */
+function getExcludePattern(folderUri: vscode.Uri): string {
+    const filesExclude = vscode.workspace.getConfiguration('files', folderUri).get<Record<string, unknown>>('exclude', {});
+    const patterns = [
+        ...[...SKIPPED_FOLDERS].map(folder => `**/${folder}/**`),
+        // Entries set to false are turned off, and `when` conditions on sibling files cannot be
+        // written as a glob
+        ...Object.entries(filesExclude).filter(([, enabled]) => enabled === true).flatMap(([pattern]) => expandBraces(pattern))
+    ];
+    return `{${patterns.join(',')}}`;
+}
+
+/**
+ * Glob patterns cannot nest `{a,b}` groups, so `*.{js,map}` becomes `*.js` and `*.map`
+ */
+function expandBraces(pattern: string): string[] {
+    const match = pattern.match(/\{([^{}]*)\}/);
+    if (!match || match.index === undefined) {
+        return [pattern];
+    }
+
+    const before = pattern.slice(0, match.index);
+    const after = pattern.slice(match.index + match[0].length);
+    return match[1].split(',').flatMap(option => expandBraces(before + option + after));
+}
+
+async function exists(uri: vscode.Uri): Promise<boolean> {
+    try {
+        await vscode.workspace.fs.stat(uri);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Folders and files below the root, keeping only folders that contain files
+ */
+function buildFolderTree(folderUri: vscode.Uri, folderName: string, files: vscode.Uri[]): FolderEntry {
+    const root: FolderEntry = { name: folderName, files: [], folders: new Map() };
+    const rootPath = folderUri.path.endsWith('/') ? folderUri.path : folderUri.path + '/';
+
+    for (const fileUri of files) {
+        const segments = fileUri.path.slice(rootPath.length).split('/');
+        let folder = root;
+        for (const segment of segments.slice(0, -1)) {
+            if (!folder.folders.has(segment)) {
+                folder.folders.set(segment, { name: segment, files: [], folders: new Map() });
+            }
+            folder = folder.folders.get(segment)!;
+        }
+        folder.files.push(fileUri);
+    }
+
+    return root;
+}
+
+/**
+ * Lay out a folder tree as canvas nodes: a group per folder with its files in a grid,
+ * subfolders to the right of their parent and centered on it
+ */
+function layoutFolderCanvas(root: FolderEntry, toFilePath: (fileUri: vscode.Uri) => string): { nodes: any[]; edges: any[] } {
+    const nodes: any[] = [];
+    const edges: any[] = [];
+
+    const sizes = new Map<FolderEntry, Size>();
+    const subtreeHeights = new Map<FolderEntry, number>();
+    const columnWidths: number[] = [];
+
+    // First pass: the size of every group, the height of every subtree and the width of every level
+    const measure = (folder: FolderEntry, depth: number): number => {
+        const size = getGroupSize(folder.files.length);
+        sizes.set(folder, size);
+        columnWidths[depth] = Math.max(columnWidths[depth] ?? 0, size.width);
+
+        const children = sortedFolders(folder);
+        const childrenHeight = children.reduce((sum, child) => sum + measure(child, depth + 1), 0) +
+            Math.max(children.length - 1, 0) * SIBLING_GAP;
+
+        const height = Math.max(size.height, childrenHeight);
+        subtreeHeights.set(folder, height);
+        return height;
+    };
+    measure(root, 0);
+
+    const columnX = [0];
+    for (let depth = 1; depth < columnWidths.length; depth++) {
+        columnX[depth] = columnX[depth - 1] + columnWidths[depth - 1] + LEVEL_GAP;
+    }
+
+    // Second pass: place the groups and their files, returning the group's ID
+    const place = (folder: FolderEntry, depth: number, top: number): string => {
+        const size = sizes.get(folder)!;
+        const subtreeHeight = subtreeHeights.get(folder)!;
+        const groupId = createCanvasId();
+        const x = columnX[depth];
+        const y = top + (subtreeHeight - size.height) / 2;
+
+        nodes.push({ id: groupId, type: 'group', x, y, width: size.width, height: size.height, label: folder.name });
+
+        folder.files.forEach((fileUri, index) => {
+            nodes.push({
+                id: createCanvasId(),
+                type: 'file',
+                x: x + GROUP_PADDING + (index % COLUMNS) * (FILE_WIDTH + FILE_GAP),
+                y: y + GROUP_PADDING + Math.floor(index / COLUMNS) * (FILE_HEIGHT + FILE_GAP),
+                width: FILE_WIDTH,
+                height: FILE_HEIGHT,
+                file: toFilePath(fileUri)
+            });
+        });
+
+        const children = sortedFolders(folder);
+        const childrenHeight = children.reduce((sum, child) => sum + subtreeHeights.get(child)!, 0) +
+            Math.max(children.length - 1, 0) * SIBLING_GAP;
+        let childTop = top + (subtreeHeight - childrenHeight) / 2;
+
+        for (const child of children) {
+            const childId = place(child, depth + 1, childTop);
+            edges.push({ id: createCanvasId(), fromNode: groupId, fromSide: 'right', toNode: childId, toSide: 'left' });
+            childTop += subtreeHeights.get(child)! + SIBLING_GAP;
+        }
+
+        return groupId;
+    };
+    place(root, 0, 0);
+
+    return { nodes, edges };
+}
+
+function sortedFolders(folder: FolderEntry): FolderEntry[] {
+    return [...folder.folders.values()].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+function getGroupSize(fileCount: number): Size {
+    if (fileCount === 0) {
+        return { width: FILE_WIDTH + GROUP_PADDING * 2, height: EMPTY_GROUP_HEIGHT };
+    }
+
+    const columns = Math.min(fileCount, COLUMNS);
+    const rows = Math.ceil(fileCount / COLUMNS);
+    return {
+        width: columns * FILE_WIDTH + (columns - 1) * FILE_GAP + GROUP_PADDING * 2,
+        height: rows * FILE_HEIGHT + (rows - 1) * FILE_GAP + GROUP_PADDING * 2
+    };
+}
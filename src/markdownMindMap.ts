@@ -0,0 +1,279 @@
+// "Create Mind Map from Headings": a canvas with one node per section of a markdown file,
+// laid out as a tree from left to right with an edge from each section to its subsections.
+
+import * as vscode from 'vscode';
+import * as path from 'path';
+import { toCanvasFilePath } from './canvasPaths';
+import { createCanvasId } from './canvasTemplates';
+
+const NODE_WIDTH = 320;
+const MIN_NODE_HEIGHT = 60;
+const MAX_NODE_HEIGHT = 400;
+const LINE_HEIGHT = 24;
+const CHARS_PER_LINE = 40; // Rough fit for NODE_WIDTH, used to size text nodes
+const FILE_NODE_HEIGHT = 200;
+const LEVEL_GAP = 120; // Between a section and its subsections
+const SIBLING_GAP = 40;
+// Characters with a meaning in links and subpaths, which headings in a subpath cannot contain
+const SUBPATH_SPECIAL_CHARACTERS = /[#|^[\]]/;
+
+type NodeStyle = 'text' | 'file';
+
+interface Section {
+    heading: string; // Empty for the document itself
+    level: number; // 0 for the document itself
+    text: string; // The section's own lines, without its subsections
+    subpath?: string;
+    children: Section[];
+}
+
+interface StylePickItem extends vscode.QuickPickItem {
+    style: NodeStyle;
+}
+
+/**
+ * Create a canvas next to a markdown file that maps its heading outline, then open it
+ */
+export async function createMindMapFromHeadings(markdownUri: vscode.Uri): Promise<void> {
+    const document = await vscode.workspace.openTextDocument(markdownUri);
+    const baseName = path.posix.basename(markdownUri.path).replace(/\.(md|markdown)$/i, '');
+    const root = parseSections(document.getText(), baseName);
+
+    if (root.children.length === 0) {
+        vscode.window.showInformationMessage(`${path.posix.basename(markdownUri.path)} has no headings to map.`);
+        return;
+    }
+
+    const picked = await vscode.window.showQuickPick<StylePickItem>([
+        { label: 'Section text', description: 'Copy each section into a text node', style: 'text' },
+        { label: 'Linked sections', description: 'File nodes that show and edit each section of the file', style: 'file' }
+    ], {
+        title: 'Create Mind Map from Headings',
+        placeHolder: 'What should the nodes hold?'
+    });
+    if (!picked) {
+        return;
+    }
+
+    const canvasUri = vscode.Uri.joinPath(markdownUri, '..', `${baseName}.canvas`);
+    if (await exists(canvasUri)) {
+        const overwrite = await vscode.window.showWarningMessage(
+            `${baseName}.canvas already exists next to this file. Replace it?`,
+            { modal: true },
+            'Replace'
+        );
+        if (overwrite !== 'Replace') {
+            return;
+        }
+    }
+
+    // A document with a single top-level heading is that section; otherwise the file is the root
+    const treeRoot = root.children.length === 1 && root.text.trim() === '' ? root.children[0] : root;
+    const canvas = layoutMindMap(treeRoot, picked.style, toCanvasFilePath(canvasUri, markdownUri));
+
+    await writeCanvas(canvasUri, JSON.stringify(canvas, null, 2));
+    await vscode.commands.executeCommand('vscode.open', canvasUri);
+    console.log('🧠 Created mind map:', canvasUri.fsPath, `(${canvas.nodes.length} nodes)`);
+}
+
+/**
+ * Write the canvas file. A canvas that is open with unsaved changes is replaced through an
+ * edit instead, so its editor does not end up out of sync and the replacement can be undone.
+ */
+async function writeCanvas(canvasUri: vscode.Uri, content: string): Promise<void> {
+    const openDocument = vscode.workspace.textDocuments.find(document => document.uri.toString() === canvasUri.toString());
+    if (!openDocument?.isDirty) {
+        await vscode.workspace.fs.writeFile(canvasUri, Buffer.from(content));
+        return;
+    }
+
+    const edit = new vscode.WorkspaceEdit();
+    edit.replace(canvasUri, new vscode.Range(openDocument.positionAt(0), openDocument.positionAt(openDocument.getText().length)), content);
+    if (!await vscode.workspace.applyEdit(edit) || !await openDocument.save()) {
+        throw new Error(`Could not replace ${path.posix.basename(canvasUri.path)}`);
+    }
+}
+
+async function exists(uri: vscode.Uri): Promise<boolean> {
+    try {
+        await vscode.workspace.fs.stat(uri);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Split a markdown document into its heading hierarchy. Headings inside code fences and
+ * front matter are ignored. The returned root stands for the document and holds the text
+ * before the first heading.
+ */
+function parseSections(content: string, title: string): Section {
+    const root: Section = { heading: title, level: 0, text: '', children: [] };
+    const stack: Section[] = [root];
+    const lines = content.split(/\r?\n/);
+    const ownLines = new Map<Section, string[]>([[root, []]]);
+
+    let start = 0;
+    if (lines[0]?.trim() === '---') {
+        const end = lines.findIndex((line, index) => index > 0 && line.trim() === '---');
+        start = end === -1 ? 0 : end + 1;
+    }
+
+    let inFence = false;
+    let current = root;
+    for (const line of lines.slice(start)) {
+        const isFence = /^\s*(```|~~~)/.test(line);
+        const match = !inFence && !isFence ? line.match(/^(#{1,6})\s+(.+?)(\s+#+)?\s*$/) : null;
+        if (isFence) inFence = !inFence;
+
+        if (!match) {
+            ownLines.get(current)!.push(line);
+            continue;
+        }
+
+        const level = match[1].length;
+        while (stack[stack.length - 1].level >= level) {
+            stack.pop();
+        }
+
+        const section: Section = { heading: match[2].trim(), level, text: '', children: [] };
+        stack[stack.length - 1].children.push(section);
+        stack.push(section);
+        ownLines.set(section, [line]);
+        current = section;
+    }
+
+    for (const [section, sectionLines] of ownLines) {
+        section.text = sectionLines.join('\n').trim();
+    }
+    assignSubpaths(root);
+
+    return root;
+}
+
+/**
+ * Give every section the subpath a file node needs to show it: `#Heading` when that finds
+ * the section, else the chain of its parent headings. Sections that still cannot be told
+ * apart, or whose headings cannot be written in a subpath, get no subpath and become text nodes.
+ */
+function assignSubpaths(root: Section): void {
+    const all: { section: Section; chain: Section[] }[] = [];
+    const collect = (section: Section, chain: Section[]) => {
+        for (const child of section.children) {
+            const childChain = [...chain, child];
+            all.push({ section: child, chain: childChain });
+            collect(child, childChain);
+        }
+    };
+    collect(root, []);
+
+    for (const { section, chain } of all) {
+        if (chain.some(({ heading }) => SUBPATH_SPECIAL_CHARACTERS.test(heading))) {
+            continue;
+        }
+
+        const headings = [[section.heading], chain.map(({ heading }) => heading)]
+            .find(candidate => resolveSubpath(root, candidate) === section);
+        if (headings) {
+            section.subpath = `#${headings.join('#')}`;
+        }
+    }
+}
+
+/**
+ * The section a chain of headings leads to when file nodes look it up: each heading is the
+ * first one with that text inside the section found for the previous one
+ */
+function resolveSubpath(root: Section, headings: string[]): Section | undefined {
+    let found: Section | undefined = root;
+    for (const heading of headings) {
+        found = findFirstSection(found, heading.toLowerCase());
+        if (!found) {
+            return undefined;
+        }
+    }
+    return found;
+}
+
+function findFirstSection(section: Section, heading: string): Section | undefined {
+    for (const child of section.children) {
+        if (child.heading.toLowerCase() === heading) {
+            return child;
+        }
+        const nested = findFirstSection(child, heading);
+        if (nested) {
+            return nested;
+        }
+    }
+    return undefined;
+}
+
+/**
+ * Lay out sections as canvas nodes: each section to the right of its parent, centered
+ * on its subsections
+ */
+function layoutMindMap(root: Section, style: NodeStyle, filePath: string): { nodes: any[]; edges: any[] } {
+    const nodes: any[] = [];
+    const edges: any[] = [];
+    const subtreeHeights = new Map<Section, number>();
+
+    const nodeHeight = (section: Section) =>
+        style === 'file' ? FILE_NODE_HEIGHT : estimateTextHeight(sectionText(section));
+
+    const measure = (section: Section): number => {
+        const childrenHeight = section.children.reduce((sum, child) => sum + measure(child), 0) +
+            Math.max(section.children.length - 1, 0) * SIBLING_GAP;
+        const height = Math.max(nodeHeight(section), childrenHeight);
+        subtreeHeights.set(section, height);
+        return height;
+    };
+    measure(root);
+
+    const place = (section: Section, depth: number, top: number): string => {
+        const id = createCanvasId();
+        const height = nodeHeight(section);
+        const subtreeHeight = subtreeHeights.get(section)!;
+        const position = { x: depth * (NODE_WIDTH + LEVEL_GAP), y: top + (subtreeHeight - height) / 2 };
+
+        if (style === 'file' && (section.level === 0 || section.subpath)) {
+            // The document itself is a file node without a subpath
+            nodes.push({ id, type: 'file', ...position, width: NODE_WIDTH, height, file: filePath, subpath: section.subpath });
+        } else {
+            nodes.push({ id, type: 'text', ...position, width: NODE_WIDTH, height, text: sectionText(section) });
+        }
+
+        const childrenHeight = section.children.reduce((sum, child) => sum + subtreeHeights.get(child)!, 0) +
+            Math.max(section.children.length - 1, 0) * SIBLING_GAP;
+        let childTop = top + (subtreeHeight - childrenHeight) / 2;
+
+        for (const child of section.children) {
+            const childId = place(child, depth + 1, childTop);
+            edges.push({ id: createCanvasId(), fromNode: id, fromSide: 'right', toNode: childId, toSide: 'left' });
+            childTop += subtreeHeights.get(child)! + SIBLING_GAP;
+        }
+
+        return id;
+    };
+    place(root, 0, 0);
+
+    return { nodes, edges };
+}
+
+/**
+ * The text a text node shows for a section: its own text, with the document title as
+ * the heading of the root
+ */
+function sectionText(section: Section): string {
+    if (section.level === 0) {
+        return section.text ? `# ${section.heading}\n\n${section.text}` : `# ${section.heading}`;
+    }
+    return section.text;
+}
+
+function estimateTextHeight(text: string): number {
+    const lineCount = text
+        .split('\n')
+        .reduce((sum, line) => sum + Math.max(Math.ceil(line.length / CHARS_PER_LINE), 1), 0);
+    return Math.min(Math.max(lineCount * LINE_HEIGHT + 32, MIN_NODE_HEIGHT), MAX_NODE_HEIGHT);
+}
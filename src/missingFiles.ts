@@ -0,0 +1,97 @@
+// Relinking file nodes whose file was deleted or moved outside of VS Code.
+
+import * as vscode from 'vscode';
+import * as path from 'path';
+import { getVaultRoot, toCanvasFilePath } from './canvasPaths';
+
+// Files listed in the picker; large workspaces are cut off here
+const MAX_FILES = 5000;
+const MAX_SUGGESTIONS = 5;
+// Minimum filename similarity (0-1) to be suggested
+const MIN_SIMILARITY = 0.4;
+
+interface FileItem extends vscode.QuickPickItem {
+    uri?: vscode.Uri;
+}
+
+/**
+ * Let the user pick the file a node should point at now, with files named like the
+ * missing one suggested first. Returns the path to store in the node.
+ */
+export async function pickReplacementFile(canvasUri: vscode.Uri, missingPath: string): Promise<string | undefined> {
+    const root = getVaultRoot(canvasUri);
+    const files = await vscode.workspace.findFiles(
+        new vscode.RelativePattern(root, '**/*'),
+        '**/node_modules/**',
+        MAX_FILES
+    );
+
+    const missingName = path.posix.basename(missingPath.replace(/\\/g, '/'));
+    const toItem = (uri: vscode.Uri): FileItem => ({
+        label: path.posix.basename(uri.path),
+        description: toCanvasFilePath(canvasUri, uri),
+        uri
+    });
+
+    const suggestions = files
+        .map(uri => ({ uri, score: fileNameSimilarity(missingName, path.posix.basename(uri.path)) }))
+        .filter(candidate => candidate.score >= MIN_SIMILARITY)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, MAX_SUGGESTIONS)
+        .map(candidate => candidate.uri);
+
+    const suggested = new Set(suggestions.map(uri => uri.toString()));
+    const others = files
+        .filter(uri => !suggested.has(uri.toString()))
+        .sort((a, b) => a.path.localeCompare(b.path));
+
+    const items: FileItem[] = [];
+    if (suggestions.length > 0) {
+        items.push({ label: 'Suggestions', kind: vscode.QuickPickItemKind.Separator });
+        items.push(...suggestions.map(toItem));
+        items.push({ label: 'All files', kind: vscode.QuickPickItemKind.Separator });
+    }
+    items.push(...others.map(toItem));
+
+    const picked = await vscode.window.showQuickPick(items, {
+        title: `Relink ${missingName}`,
+        placeHolder: 'Select the file this node should show',
+        matchOnDescription: true
+    });
+
+    return picked?.uri ? toCanvasFilePath(canvasUri, picked.uri) : undefined;
+}
+
+/**
+ * How alike two file names are, from 0 to 1. Names are compared without their
+ * extension; a matching extension counts for a bit on top.
+ */
+function fileNameSimilarity(a: string, b: string): number {
+    const extA = path.posix.extname(a).toLowerCase();
+    const extB = path.posix.extname(b).toLowerCase();
+    const nameA = path.posix.basename(a, path.posix.extname(a)).toLowerCase();
+    const nameB = path.posix.basename(b, path.posix.extname(b)).toLowerCase();
+
+    const longest = Math.max(nameA.length, nameB.length) || 1;
+    const nameScore = 1 - levenshtein(nameA, nameB) / longest;
+
+    return nameScore * 0.85 + (extA === extB ? 0.15 : 0);
+}
+
+function levenshtein(a: string, b: string): number {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+
+    return previous[b.length];
+}
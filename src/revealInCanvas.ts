@@ -0,0 +1,49 @@
+// Jumping from a file to the canvas nodes that show it.
+
+import * as vscode from 'vscode';
+import * as path from 'path';
+import { CanvasIndex, CanvasReference } from './canvasIndex';
+
+interface ReferencePickItem extends vscode.QuickPickItem {
+    reference: CanvasReference;
+}
+
+/**
+ * Reveal the node showing a file: directly if only one canvas node shows it,
+ * otherwise after picking one
+ */
+export async function revealFileInCanvas(
+    canvasIndex: CanvasIndex,
+    fileUri: vscode.Uri,
+    revealNode: (canvasUri: vscode.Uri, nodeId: string) => Promise<void>
+): Promise<void> {
+    const references = await canvasIndex.getReferences(fileUri);
+    const fileName = path.posix.basename(fileUri.path);
+
+    if (references.length === 0) {
+        vscode.window.showInformationMessage(`${fileName} is not used on any canvas.`);
+        return;
+    }
+
+    let reference: CanvasReference | undefined = references[0];
+    if (references.length > 1) {
+        const picked = await vscode.window.showQuickPick<ReferencePickItem>(
+            references.map(ref => ({
+                label: path.posix.basename(ref.canvas.uri.path),
+                description: vscode.workspace.asRelativePath(ref.canvas.uri),
+                detail: ref.node.subpath ? `${ref.node.title}${ref.node.subpath}` : undefined,
+                reference: ref
+            })),
+            {
+                title: `Reveal ${fileName} in Canvas`,
+                placeHolder: 'Select the canvas node to show',
+                matchOnDescription: true
+            }
+        );
+        reference = picked?.reference;
+    }
+
+    if (reference) {
+        await revealNode(reference.canvas.uri, reference.node.id);
+    }
+}
@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import * as assert from 'node:assert/strict';
+import { computeCanvasEdits } from '../canvasEdits';
+
+// Obsidian's layout: tabs, one node per line
+const OBSIDIAN_CANVAS = [
+    '{',
+    '\t"nodes":[',
+    '\t\t{"id":"a","type":"text","text":"A","x":0,"y":0,"width":250,"height":60},',
+    '\t\t{"id":"b","type":"text","text":"B","x":300,"y":0,"width":250,"height":60}',
+    '\t],',
+    '\t"edges":[]',
+    '}'
+].join('\n');
+
+function applyEdits(text: string, newContent: string): string {
+    // Edits are applied from the end so earlier offsets stay valid
+    return computeCanvasEdits(text, newContent)
+        .sort((a, b) => b.start - a.start)
+        .reduce((result, edit) => result.slice(0, edit.start) + edit.text + result.slice(edit.end), text);
+}
+
+test('keeps the text of unchanged nodes when one node moves', () => {
+    const canvas = JSON.parse(OBSIDIAN_CANVAS);
+    canvas.nodes[1].x = 400;
+
+    const result = applyEdits(OBSIDIAN_CANVAS, JSON.stringify(canvas, null, 2));
+
+    assert.equal(result, OBSIDIAN_CANVAS.replace('"x":300', '"x":400'));
+});
+
+test('lays out the first edge like the nodes when the edges array was empty', () => {
+    const canvas = JSON.parse(OBSIDIAN_CANVAS);
+    canvas.edges.push({ id: 'e', fromNode: 'a', fromSide: 'right', toNode: 'b', toSide: 'left' });
+
+    const result = applyEdits(OBSIDIAN_CANVAS, JSON.stringify(canvas, null, 2));
+
+    assert.equal(result, OBSIDIAN_CANVAS.replace(
+        '\t"edges":[]',
+        '\t"edges":[\n\t\t{"id":"e","fromNode":"a","fromSide":"right","toNode":"b","toSide":"left"}\n\t]'
+    ));
+});
+
+test('writes new elements pretty-printed when the other array is pretty-printed too', () => {
+    const text = '{\n  "nodes": [\n    {\n      "id": "a",\n      "type": "text",\n      "text": "A"\n    }\n  ],\n  "edges": []\n}';
+    const canvas = JSON.parse(text);
+    canvas.edges.push({ id: 'e', fromNode: 'a', toNode: 'a' });
+
+    const result = applyEdits(text, JSON.stringify(canvas));
+
+    assert.equal(result, text.replace(
+        '"edges": []',
+        '"edges": [\n    {\n      "id": "e",\n      "fromNode": "a",\n      "toNode": "a"\n    }\n  ]'
+    ));
+});
@@ -2,7 +2,16 @@
 
 import { writable } from 'svelte/store';
 import type { Node, Edge } from '@xyflow/svelte';
-import { obsidianToSvelteFlow, svelteFlowToObsidian, type ObsidianCanvas } from '../utils/obsidian.ts';
+import {
+  obsidianToSvelteFlow,
+  svelteFlowToObsidian,
+  getAbsolutePosition,
+  findContainingGroup,
+  sortParentsFirst,
+  type ObsidianCanvas
+} from '../utils/obsidian.ts';
+import { isImageFile } from '../utils/files.ts';
+import { canvasToSvg } from '../utils/export.ts';
 
 // VSCode API (injected by extension)
 declare const acquireVsCodeApi: any;
@@ -24,11 +33,20 @@ export const nodes = writable<Node[]>([]);
 export const edges = writable<Edge[]>([]);
 export const selectedNodes = writable<string[]>([]);
 
+// Node the extension asked to center the viewport on (a new object per request)
+export const revealRequest = writable<{ nodeId: string } | null>(null);
+
+// Editor command the extension asked the canvas to run (a new object per request)
+export const commandRequest = writable<{ command: string; filePaths?: string[] } | null>(null);
+
 // Debounced save function
 let saveTimeout: number | undefined;
 let currentNodes: Node[] = [];
 let currentEdges: Edge[] = [];
 let isLoading = false; // Flag to prevent save during initial load
+let documentExtra: Record<string, unknown> | undefined; // Unknown top-level fields, written back on save
+let documentNodeOrder: string[] = []; // Node IDs in document (z-)order; the stores hold groups first for SvelteFlow
+let activeOperation: string | null = null; // Gesture in progress whose updates are saved as one undo step
 
 // Subscribe to changes
 nodes.subscribe(n => {
@@ -46,6 +64,11 @@ edges.subscribe(e => {
 });
 
 function scheduleSave() {
+  // The gesture saves once when it ends
+  if (activeOperation) {
+    return;
+  }
+
   if (saveTimeout) {
     clearTimeout(saveTimeout);
   }
@@ -56,10 +79,12 @@ function scheduleSave() {
 }
 
 /**
- * Save current canvas state to VSCode
+ * Save current canvas state to VSCode.
+ * Every save is applied as one edit, so it becomes one step on the document's undo stack.
  */
-export function saveToExtension() {
-  const obsidianData = svelteFlowToObsidian(currentNodes, currentEdges);
+export function saveToExtension(label?: string) {
+  const obsidianData = svelteFlowToObsidian(currentNodes, currentEdges, documentExtra, documentNodeOrder);
+  documentNodeOrder = obsidianData.nodes.map(node => node.id);
   const content = JSON.stringify(obsidianData, null, 2);
 
   vscode.postMessage({
@@ -67,7 +92,53 @@ export function saveToExtension() {
     content
   });
 
-  console.log('💾 Saved canvas to extension');
+  console.log('💾 Saved canvas to extension', label ? `(${label})` : '');
+}
+
+/**
+ * Send a pending debounced save right away so it stays a separate undo step
+ */
+function flushSave() {
+  if (saveTimeout) {
+    clearTimeout(saveTimeout);
+    saveTimeout = undefined;
+    saveToExtension();
+  }
+}
+
+/**
+ * Start a gesture (drag, resize) whose intermediate updates should undo as a single step
+ */
+export function beginOperation(label: string) {
+  flushSave();
+  activeOperation = label;
+}
+
+/**
+ * Finish the current gesture and save its result
+ */
+export function endOperation() {
+  if (!activeOperation) return;
+
+  const label = activeOperation;
+  activeOperation = null;
+  saveToExtension(label);
+}
+
+/**
+ * Apply a change and save it immediately as its own undo step
+ */
+export function recordOperation<T>(label: string, change: () => T): T {
+  flushSave();
+  const result = change();
+
+  if (saveTimeout) {
+    clearTimeout(saveTimeout);
+    saveTimeout = undefined;
+  }
+  saveToExtension(label);
+
+  return result;
 }
 
 /**
@@ -77,11 +148,23 @@ export function loadFromObsidian(content: string) {
   try {
     isLoading = true; // Prevent auto-save during load
 
+    // A pending save would overwrite the content we are loading (e.g. after an undo)
+    if (saveTimeout) {
+      clearTimeout(saveTimeout);
+      saveTimeout = undefined;
+    }
+
     const obsidianData: ObsidianCanvas = JSON.parse(content);
-    const { nodes: loadedNodes, edges: loadedEdges } = obsidianToSvelteFlow(obsidianData);
+    const { nodes: loadedNodes, edges: loadedEdges, extra } = obsidianToSvelteFlow(obsidianData);
+    documentExtra = extra;
+    documentNodeOrder = (obsidianData.nodes || []).map(node => node.id);
+
+    // Keep the selection across reloads so undo/redo does not deselect everything
+    const selectedIds = new Set(currentNodes.filter(node => node.selected).map(node => node.id));
+    const selectedEdgeIds = new Set(currentEdges.filter(edge => edge.selected).map(edge => edge.id));
 
-    nodes.set(loadedNodes);
-    edges.set(loadedEdges);
+    nodes.set(loadedNodes.map(node => selectedIds.has(node.id) ? { ...node, selected: true } : node));
+    edges.set(loadedEdges.map(edge => selectedEdgeIds.has(edge.id) ? { ...edge, selected: true } : edge));
 
     console.log('📂 Loaded canvas:', loadedNodes.length, 'nodes,', loadedEdges.length, 'edges');
 
@@ -111,22 +194,166 @@ export function createTextNode(x: number, y: number) {
     }
   };
 
-  nodes.update(n => [...n, newNode]);
+  recordOperation('Add text node', () => nodes.update(n => [...n, newNode]));
   console.log('➕ Created node:', newNode.id);
 
   return newNode;
 }
 
 /**
- * Delete nodes and their connected edges
+ * Create file nodes at position, each following one slightly offset from the previous
  */
-export function deleteNodes(nodeIds: string[]) {
-  nodes.update(n => n.filter(node => !nodeIds.includes(node.id)));
-  edges.update(e => e.filter(edge =>
-    !nodeIds.includes(edge.source) && !nodeIds.includes(edge.target)
-  ));
+export function createFileNodes(x: number, y: number, filePaths: string[]) {
+  const now = Date.now();
+  const newNodes: Node[] = filePaths.map((filePath, index) => ({
+    id: index === 0 ? `node-${now}` : `node-${now}-${index}`,
+    type: 'file',
+    position: { x: x + index * 20, y: y + index * 20 },
+    data: {
+      label: filePath.split('/').pop() || filePath,
+      file: filePath,
+      width: 250,
+      height: 150,
+      // Images resize to their aspect ratio once loaded
+      autoSize: isImageFile(filePath)
+    }
+  }));
 
-  console.log('🗑️ Deleted nodes:', nodeIds);
+  recordOperation('Add file node', () => nodes.update(n => [...n, ...newNodes]));
+  console.log('📄 Created file nodes:', filePaths);
+
+  return newNodes;
+}
+
+/**
+ * Create a new empty group at position
+ */
+export function createGroupNode(x: number, y: number) {
+  const newNode: Node = {
+    id: `node-${Date.now()}`,
+    type: 'group',
+    position: { x, y },
+    data: {
+      label: 'New group',
+      width: 400,
+      height: 300
+    },
+    style: 'width: 400px; height: 300px'
+  };
+
+  // Groups go first so they render behind the nodes they will contain
+  recordOperation('Add group', () => nodes.update(n => [newNode, ...n]));
+  console.log('➕ Created group:', newNode.id);
+
+  return newNode;
+}
+
+/**
+ * Delete nodes, their connected edges and any other given edges.
+ * Nodes inside a deleted group are kept and moved out to canvas coordinates.
+ */
+export function deleteNodes(nodeIds: string[], edgeIds: string[] = []) {
+  recordOperation('Delete nodes', () => {
+    nodes.update(n => {
+      const nodesById = new Map(n.map(node => [node.id, node]));
+
+      return n
+        .filter(node => !nodeIds.includes(node.id))
+        .map(node => {
+          if (!node.parentId || !nodeIds.includes(node.parentId)) return node;
+
+          // Attach to the closest ancestor group that survives the deletion
+          let ancestor = nodesById.get(node.parentId);
+          while (ancestor && nodeIds.includes(ancestor.id)) {
+            ancestor = ancestor.parentId ? nodesById.get(ancestor.parentId) : undefined;
+          }
+
+          const absolute = getAbsolutePosition(node, nodesById);
+          const ancestorPosition = ancestor ? getAbsolutePosition(ancestor, nodesById) : { x: 0, y: 0 };
+          return {
+            ...node,
+            parentId: ancestor?.id,
+            position: { x: absolute.x - ancestorPosition.x, y: absolute.y - ancestorPosition.y }
+          };
+        });
+    });
+    edges.update(e => e.filter(edge =>
+      !nodeIds.includes(edge.source) && !nodeIds.includes(edge.target) && !edgeIds.includes(edge.id)
+    ));
+  });
+
+  console.log('🗑️ Deleted nodes:', nodeIds, edgeIds.length > 0 ? `and edges: ${edgeIds.join(', ')}` : '');
+}
+
+/**
+ * Delete the selected nodes and edges
+ */
+export function deleteSelection() {
+  const nodeIds = currentNodes.filter(node => node.selected).map(node => node.id);
+  const edgeIds = currentEdges.filter(edge => edge.selected).map(edge => edge.id);
+  if (nodeIds.length > 0 || edgeIds.length > 0) {
+    deleteNodes(nodeIds, edgeIds);
+  }
+}
+
+/**
+ * Re-evaluate group membership after nodes were dragged.
+ * A node dropped fully inside a group becomes its child; a node dragged out is detached.
+ */
+export function reparentNodes(movedNodes: Node[]) {
+  nodes.update(n => {
+    const moved = new Map(movedNodes.map(node => [node.id, node]));
+    let updated = n.map(node => moved.has(node.id) ? { ...node, position: moved.get(node.id)!.position } : node);
+
+    for (const movedNode of movedNodes) {
+      const nodesById = new Map(updated.map(node => [node.id, node]));
+      const node = nodesById.get(movedNode.id);
+      if (!node) continue;
+
+      // Skip nodes whose parent group is being dragged along with them
+      if (node.parentId && moved.has(node.parentId)) continue;
+
+      const absolute = getAbsolutePosition(node, nodesById);
+      const excluded = getDescendantIds(node.id, updated);
+      excluded.add(node.id);
+
+      const group = findContainingGroup(
+        { x: absolute.x, y: absolute.y, width: node.data?.width || 0, height: node.data?.height || 0 },
+        updated,
+        excluded
+      );
+
+      if (group?.id === node.parentId) continue;
+
+      const groupPosition = group ? getAbsolutePosition(group, nodesById) : { x: 0, y: 0 };
+      updated = updated.map(item =>
+        item.id === node.id
+          ? {
+              ...item,
+              parentId: group?.id,
+              position: { x: absolute.x - groupPosition.x, y: absolute.y - groupPosition.y }
+            }
+          : item
+      );
+
+      console.log('📦 Moved node', node.id, group ? `into group ${group.id}` : 'out of group');
+    }
+
+    return sortParentsFirst(updated);
+  });
+}
+
+function getDescendantIds(nodeId: string, allNodes: Node[]): Set<string> {
+  const descendants = new Set<string>();
+  let frontier = [nodeId];
+
+  while (frontier.length > 0) {
+    const children = allNodes.filter(node => node.parentId && frontier.includes(node.parentId));
+    frontier = children.map(node => node.id).filter(id => !descendants.has(id));
+    frontier.forEach(id => descendants.add(id));
+  }
+
+  return descendants;
 }
 
 /**
@@ -142,6 +369,45 @@ export function updateNodeData(nodeId: string, data: Partial<any>) {
   );
 }
 
+/**
+ * Update edge data
+ */
+export function updateEdgeData(edgeId: string, data: Partial<any>) {
+  edges.update(e =>
+    e.map(edge =>
+      edge.id === edgeId
+        ? { ...edge, data: { ...edge.data, ...data } }
+        : edge
+    )
+  );
+}
+
+/**
+ * Open a URL in the system browser through the extension host
+ */
+export function openExternalLink(url: string) {
+  vscode.postMessage({
+    type: 'openExternal',
+    url
+  });
+}
+
+/**
+ * Open a workspace file in a text editor beside the canvas, optionally at a line (1-based)
+ */
+export function openFileInEditor(filePath: string, line?: number) {
+  vscode.postMessage({
+    type: 'openFile',
+    filePath,
+    line
+  });
+}
+
+/**
+ * A referenced file that does not exist (anymore)
+ */
+export class MissingFileError extends Error {}
+
 /**
  * Load file content from workspace
  */
@@ -156,7 +422,7 @@ export async function loadFileContent(nodeId: string, filePath: string): Promise
         resolve(message.content);
       } else if (message.type === 'fileContentError' && message.nodeId === nodeId) {
         window.removeEventListener('message', handleMessage);
-        reject(new Error(message.error));
+        reject(message.missing ? new MissingFileError(message.error) : new Error(message.error));
       }
     };
 
@@ -177,6 +443,220 @@ export async function loadFileContent(nodeId: string, filePath: string): Promise
   });
 }
 
+/**
+ * Get a webview URI for a workspace file (used for images)
+ */
+export async function resolveResourceUri(requestId: string, filePath: string): Promise<string> {
+  return new Promise((resolve, reject) => {
+    // Set up one-time listener for the resolved URI
+    const handleMessage = (event: MessageEvent) => {
+      const message = event.data;
+
+      if (message.type === 'resourceResolved' && message.nodeId === requestId) {
+        window.removeEventListener('message', handleMessage);
+        resolve(message.uri);
+      } else if (message.type === 'fileContentError' && message.nodeId === requestId) {
+        window.removeEventListener('message', handleMessage);
+        reject(message.missing ? new MissingFileError(message.error) : new Error(message.error));
+      }
+    };
+
+    window.addEventListener('message', handleMessage);
+
+    // Request webview URI from extension
+    vscode.postMessage({
+      type: 'resolveResource',
+      filePath,
+      nodeId: requestId
+    });
+
+    // Timeout after 10 seconds
+    setTimeout(() => {
+      window.removeEventListener('message', handleMessage);
+      reject(new Error('Resource resolve timeout'));
+    }, 10000);
+  });
+}
+
+// Callbacks for files the extension keeps us up to date on, keyed by node id
+const fileWatchers = new Map<string, (content: string, lastModified?: number) => void>();
+const resourceWatchers = new Map<string, (uri: string) => void>();
+const missingFileWatchers = new Map<string, () => void>();
+
+/**
+ * Get pushed updates whenever a referenced file changes on disk.
+ * Returns a function that stops watching.
+ */
+export function watchFile(
+  nodeId: string,
+  filePath: string,
+  onChange: (content: string, lastModified?: number) => void,
+  onMissing?: () => void
+): () => void {
+  fileWatchers.set(nodeId, onChange);
+  if (onMissing) missingFileWatchers.set(nodeId, onMissing);
+
+  vscode.postMessage({
+    type: 'watchFile',
+    filePath,
+    nodeId
+  });
+
+  return () => {
+    fileWatchers.delete(nodeId);
+    missingFileWatchers.delete(nodeId);
+    vscode.postMessage({
+      type: 'unwatchFile',
+      nodeId
+    });
+  };
+}
+
+/**
+ * Get a fresh webview URI whenever a referenced image changes on disk, without reading its content.
+ * Returns a function that stops watching.
+ */
+export function watchResource(
+  nodeId: string,
+  filePath: string,
+  onChange: (uri: string) => void,
+  onMissing?: () => void
+): () => void {
+  resourceWatchers.set(nodeId, onChange);
+  if (onMissing) missingFileWatchers.set(nodeId, onMissing);
+
+  vscode.postMessage({
+    type: 'watchFile',
+    filePath,
+    nodeId,
+    resource: true
+  });
+
+  return () => {
+    resourceWatchers.delete(nodeId);
+    missingFileWatchers.delete(nodeId);
+    vscode.postMessage({
+      type: 'unwatchFile',
+      nodeId
+    });
+  };
+}
+
+/**
+ * Ask the user for the file a node with a missing file should point at.
+ * The extension answers with fileRelinked if a file was picked.
+ */
+export function relinkFile(nodeId: string, filePath: string) {
+  vscode.postMessage({
+    type: 'relinkFile',
+    filePath,
+    nodeId
+  });
+}
+
+/**
+ * Create a file in the workspace; watchers pick up its content once it exists
+ */
+export function createWorkspaceFile(filePath: string, content: string) {
+  vscode.postMessage({
+    type: 'createFile',
+    filePath,
+    content
+  });
+}
+
+/**
+ * Turn a file node into a text node holding the given text
+ */
+export function convertToTextNode(nodeId: string, text: string) {
+  recordOperation('Convert to text node', () => {
+    nodes.update(n =>
+      n.map(node =>
+        node.id === nodeId
+          ? {
+              ...node,
+              type: 'text',
+              data: {
+                label: text,
+                text,
+                width: node.data?.width,
+                height: node.data?.height,
+                color: node.data?.color,
+                // Unknown fields of the node are kept like on every other update
+                extra: node.data?.extra
+              }
+            }
+          : node
+      )
+    );
+  });
+
+  console.log('📝 Converted node to text:', nodeId);
+}
+
+/**
+ * Let the user pick files to add; the extension answers with an addFileNodes command
+ */
+export function pickFiles() {
+  vscode.postMessage({ type: 'pickFiles' });
+}
+
+/**
+ * Send the canvas as an SVG image for the extension to save
+ */
+export function exportCanvas() {
+  const content = canvasToSvg(svelteFlowToObsidian(currentNodes, currentEdges, undefined, documentNodeOrder));
+
+  vscode.postMessage({
+    type: 'exportCanvas',
+    format: 'svg',
+    content
+  });
+}
+
+/**
+ * Open a canvas file in the canvas editor
+ */
+export function openCanvasFile(filePath: string) {
+  vscode.postMessage({
+    type: 'openCanvas',
+    filePath
+  });
+}
+
+/**
+ * Turn the URIs of dropped files into file node paths (relative to the vault root)
+ */
+export async function resolveDroppedFiles(uris: string[]): Promise<string[]> {
+  const requestId = `drop-${Date.now()}`;
+
+  return new Promise((resolve, reject) => {
+    // Set up one-time listener for the paths
+    const handleMessage = (event: MessageEvent) => {
+      const message = event.data;
+
+      if (message.type === 'droppedFilesResolved' && message.requestId === requestId) {
+        window.removeEventListener('message', handleMessage);
+        resolve(message.filePaths);
+      }
+    };
+
+    window.addEventListener('message', handleMessage);
+
+    vscode.postMessage({
+      type: 'resolveDroppedFiles',
+      uris,
+      requestId
+    });
+
+    // Timeout after 10 seconds
+    setTimeout(() => {
+      window.removeEventListener('message', handleMessage);
+      reject(new Error('Dropped files resolve timeout'));
+    }, 10000);
+  });
+}
+
 /**
  * Save file content to workspace
  */
@@ -223,15 +703,37 @@ window.addEventListener('message', (event) => {
       console.log('📂 Loading content...');
       loadFromObsidian(message.content);
       break;
+    case 'revealNode':
+      revealRequest.set({ nodeId: message.nodeId });
+      break;
+    case 'runCommand':
+      commandRequest.set({ command: message.command, filePaths: message.filePaths });
+      break;
     case 'groqApiKey':
       // Store API key for AI features (to be implemented)
       console.log('🔑 Received API key');
       break;
-    // File content messages are handled by the promise handlers above
     case 'fileContentLoaded':
+      // Pushed updates for watched files; one-off loads are handled by loadFileContent
+      fileWatchers.get(message.nodeId)?.(message.content, message.lastModified);
+      break;
+    case 'resourceResolved':
+      // Pushed updates for watched images; one-off requests are handled by resolveResourceUri
+      resourceWatchers.get(message.nodeId)?.(message.uri);
+      break;
     case 'fileContentError':
+      // Watched files that were deleted; other errors are handled by the promise listeners
+      if (message.missing) {
+        missingFileWatchers.get(message.nodeId)?.();
+      }
+      break;
+    case 'fileRelinked':
+      recordOperation('Relink file', () => updateNodeData(message.nodeId, { file: message.filePath }));
+      break;
+    // File content messages are handled by the promise handlers above
     case 'fileContentSaved':
-      // Handled by loadFileContent/saveFileContent promise listeners
+    case 'droppedFilesResolved':
+      // Handled by saveFileContent/resolveDroppedFiles promise listeners
       break;
   }
 });
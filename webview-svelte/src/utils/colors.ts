@@ -0,0 +1,58 @@
+// Canvas color helpers (JSON Canvas presets "1"-"6" or hex colors)
+
+/**
+ * JSON Canvas preset colors: the VS Code theme color to use and a fallback hex value
+ */
+const PRESET_COLORS: Record<string, { themeColor: string; hex: string }> = {
+  '1': { themeColor: '--vscode-charts-red', hex: '#e93147' },
+  '2': { themeColor: '--vscode-charts-orange', hex: '#ec7500' },
+  '3': { themeColor: '--vscode-charts-yellow', hex: '#e0ac00' },
+  '4': { themeColor: '--vscode-charts-green', hex: '#08b94e' },
+  '5': { themeColor: '--vscode-terminal-ansiCyan', hex: '#00bfbc' },
+  '6': { themeColor: '--vscode-charts-purple', hex: '#7852ee' }
+};
+
+export const CANVAS_COLOR_PRESETS = Object.keys(PRESET_COLORS);
+
+/**
+ * Resolve a canvas color value to a CSS color, or undefined if unset/invalid
+ */
+export function resolveCanvasColor(color?: string): string | undefined {
+  if (!color) return undefined;
+
+  const preset = PRESET_COLORS[color];
+  if (preset) {
+    return `var(${preset.themeColor}, ${preset.hex})`;
+  }
+
+  return resolveCanvasColorHex(color);
+}
+
+/**
+ * Resolve a canvas color value to a hex color without theme variables, for output
+ * that is used outside the editor (e.g. exported images)
+ */
+export function resolveCanvasColorHex(color?: string): string | undefined {
+  if (!color) return undefined;
+
+  if (PRESET_COLORS[color]) {
+    return PRESET_COLORS[color].hex;
+  }
+
+  if (/^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(color)) {
+    return color;
+  }
+
+  return undefined;
+}
+
+/**
+ * Inline CSS variables for a colored node: `--node-color` for the border and
+ * `--node-tint`, a light wash over the editor background so theme text stays readable
+ */
+export function nodeColorStyle(color?: string): string {
+  const resolved = resolveCanvasColor(color);
+  if (!resolved) return '';
+
+  return `--node-color: ${resolved}; --node-tint: color-mix(in srgb, ${resolved} 12%, var(--vscode-editor-background));`;
+}
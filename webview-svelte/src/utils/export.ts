@@ -0,0 +1,207 @@
+// Export a canvas as a standalone SVG image
+
+import type { ObsidianCanvas, ObsidianNode, ObsidianSide } from './obsidian.ts';
+import { resolveCanvasColorHex } from './colors.ts';
+
+const PADDING = 40;
+const FONT_SIZE = 14;
+const LINE_HEIGHT = 20;
+const TEXT_INSET = 12;
+// Average glyph width of the sans-serif font relative to its size, used to wrap text
+const CHAR_WIDTH = 0.55;
+
+// Exported images do not follow the editor theme, so they use a fixed light palette
+const NODE_FILL = '#ffffff';
+const NODE_STROKE = '#b0b0b0';
+const TEXT_COLOR = '#1f1f1f';
+const MUTED_TEXT_COLOR = '#6b6b6b';
+const EDGE_COLOR = '#8a8a8a';
+const BACKGROUND = '#f6f6f6';
+
+/**
+ * Render a canvas as an SVG document. Text is wrapped approximately and cut off
+ * where a node ends, like the editor does.
+ */
+export function canvasToSvg(canvas: ObsidianCanvas): string {
+  const nodesById = new Map(canvas.nodes.map((node) => [node.id, node]));
+
+  let minX = 0;
+  let minY = 0;
+  let width = 100;
+  let height = 100;
+  if (canvas.nodes.length > 0) {
+    minX = Math.min(...canvas.nodes.map((n) => n.x)) - PADDING;
+    // Group labels are drawn above the group
+    minY = Math.min(...canvas.nodes.map((n) => n.y)) - PADDING - LINE_HEIGHT;
+    width = Math.max(...canvas.nodes.map((n) => n.x + n.width)) - minX + PADDING;
+    height = Math.max(...canvas.nodes.map((n) => n.y + n.height)) - minY + PADDING;
+  }
+
+  // Groups first so they are drawn behind their contents
+  const sortedNodes = [...canvas.nodes].sort((a, b) => Number(b.type === 'group') - Number(a.type === 'group'));
+
+  // One arrow marker per edge color, since markers cannot inherit the line's color everywhere
+  const markerIds = new Map<string, string>();
+  const markerFor = (color: string) => {
+    if (!markerIds.has(color)) markerIds.set(color, `arrow-${markerIds.size}`);
+    return `url(#${markerIds.get(color)})`;
+  };
+
+  const parts: string[] = [
+    `<rect x="${minX}" y="${minY}" width="${width}" height="${height}" fill="${BACKGROUND}"/>`
+  ];
+
+  for (const node of sortedNodes) {
+    parts.push(renderNode(node));
+  }
+
+  for (const edge of canvas.edges) {
+    const from = nodesById.get(edge.fromNode);
+    const to = nodesById.get(edge.toNode);
+    if (!from || !to) continue;
+
+    const start = sidePoint(from, edge.fromSide);
+    const end = sidePoint(to, edge.toSide);
+    const color = resolveCanvasColorHex(edge.color) || EDGE_COLOR;
+    const markers =
+      (edge.toEnd === 'none' ? '' : ` marker-end="${markerFor(color)}"`) +
+      (edge.fromEnd === 'arrow' ? ` marker-start="${markerFor(color)}"` : '');
+
+    parts.push(
+      `<line x1="${start.x}" y1="${start.y}" x2="${end.x}" y2="${end.y}" stroke="${color}" stroke-width="2"${markers}/>`
+    );
+
+    if (edge.label) {
+      const midX = (start.x + end.x) / 2;
+      const midY = (start.y + end.y) / 2;
+      parts.push(
+        `<text x="${midX}" y="${midY - 6}" text-anchor="middle" fill="${MUTED_TEXT_COLOR}" paint-order="stroke" stroke="${BACKGROUND}" stroke-width="4">${escapeXml(edge.label)}</text>`
+      );
+    }
+  }
+
+  const markers = [...markerIds].map(
+    ([color, id]) =>
+      `<marker id="${id}" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="8" markerHeight="8" orient="auto-start-reverse"><path d="M 0 0 L 10 5 L 0 10 z" fill="${color}"/></marker>`
+  );
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" viewBox="${minX} ${minY} ${width} ${height}" width="${width}" height="${height}" font-family="-apple-system, 'Segoe UI', Helvetica, Arial, sans-serif" font-size="${FONT_SIZE}">`,
+    `<defs>${markers.join('')}</defs>`,
+    ...parts,
+    '</svg>'
+  ].join('\n');
+}
+
+function renderNode(node: ObsidianNode): string {
+  const color = resolveCanvasColorHex(node.color);
+
+  if (node.type === 'group') {
+    const stroke = color || NODE_STROKE;
+    const label = node.label
+      ? `<text x="${node.x + 4}" y="${node.y - 8}" fill="${MUTED_TEXT_COLOR}" font-weight="600">${escapeXml(node.label)}</text>`
+      : '';
+    return `<rect x="${node.x}" y="${node.y}" width="${node.width}" height="${node.height}" rx="8" fill="${color || NODE_STROKE}" fill-opacity="0.08" stroke="${stroke}" stroke-width="2"/>${label}`;
+  }
+
+  const rect = `<rect x="${node.x}" y="${node.y}" width="${node.width}" height="${node.height}" rx="8" fill="${NODE_FILL}" stroke="${color || NODE_STROKE}" stroke-width="2"/>`;
+
+  const lines = nodeLines(node);
+  const maxChars = Math.max(Math.floor((node.width - TEXT_INSET * 2) / (FONT_SIZE * CHAR_WIDTH)), 4);
+  const maxLines = Math.max(Math.floor((node.height - TEXT_INSET) / LINE_HEIGHT), 1);
+  const wrapped = lines.flatMap((line) => wrapLine(line.text, maxChars).map((text) => ({ ...line, text })));
+  const visible = wrapped.slice(0, maxLines);
+  if (wrapped.length > maxLines) {
+    visible[maxLines - 1] = { ...visible[maxLines - 1], text: truncate(visible[maxLines - 1].text + '…', maxChars) };
+  }
+
+  const text = visible
+    .map((line, index) => {
+      const weight = line.bold ? ' font-weight="600"' : '';
+      const fill = line.muted ? MUTED_TEXT_COLOR : TEXT_COLOR;
+      return `<text x="${node.x + TEXT_INSET}" y="${node.y + TEXT_INSET + FONT_SIZE + index * LINE_HEIGHT}" fill="${fill}"${weight}>${escapeXml(line.text)}</text>`;
+    })
+    .join('');
+
+  return rect + text;
+}
+
+interface NodeLine {
+  text: string;
+  bold?: boolean;
+  muted?: boolean;
+}
+
+/**
+ * The lines shown for a node: its markdown text with the syntax stripped,
+ * or the file name or URL it points at
+ */
+function nodeLines(node: ObsidianNode): NodeLine[] {
+  switch (node.type) {
+    case 'file': {
+      const lines: NodeLine[] = [{ text: (node.file || '').split('/').pop() || '', bold: true }];
+      if (node.subpath) lines.push({ text: node.subpath, muted: true });
+      return lines;
+    }
+    case 'link':
+      return node.title
+        ? [{ text: node.title, bold: true }, { text: node.url || '', muted: true }]
+        : [{ text: node.url || '', muted: true }];
+    default:
+      return (node.text || '')
+        .split('\n')
+        .filter((line) => !/^\s*```/.test(line))
+        .map((line) => {
+          const heading = /^#{1,6}\s+/.test(line);
+          const text = line
+            .replace(/^#{1,6}\s+/, '')
+            .replace(/^(\s*)[-*+]\s+\[[ xX]\]\s+/, '$1☐ ')
+            .replace(/^(\s*)[-*+]\s+/, '$1• ')
+            .replace(/\*\*(.+?)\*\*|__(.+?)__/g, '$1$2')
+            .replace(/\[\[([^\]|]+)\|?([^\]]*)\]\]/g, (_, target, alias) => alias || target)
+            .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+            .replace(/`([^`]+)`/g, '$1');
+          return { text, bold: heading };
+        });
+  }
+}
+
+function wrapLine(line: string, maxChars: number): string[] {
+  if (line.length <= maxChars) return [line];
+
+  const wrapped: string[] = [];
+  let current = '';
+  for (const word of line.split(/\s+/)) {
+    if (current && current.length + 1 + word.length > maxChars) {
+      wrapped.push(current);
+      current = '';
+    }
+    // Words longer than a line are cut
+    current = current ? `${current} ${word}` : truncate(word, maxChars);
+  }
+  wrapped.push(current);
+  return wrapped;
+}
+
+function truncate(text: string, maxChars: number): string {
+  return text.length > maxChars ? text.slice(0, maxChars - 1) + '…' : text;
+}
+
+function sidePoint(node: ObsidianNode, side?: ObsidianSide): { x: number; y: number } {
+  switch (side) {
+    case 'top':
+      return { x: node.x + node.width / 2, y: node.y };
+    case 'bottom':
+      return { x: node.x + node.width / 2, y: node.y + node.height };
+    case 'left':
+      return { x: node.x, y: node.y + node.height / 2 };
+    case 'right':
+      return { x: node.x + node.width, y: node.y + node.height / 2 };
+    default:
+      return { x: node.x + node.width / 2, y: node.y + node.height / 2 };
+  }
+}
+
+function escapeXml(text: string): string {
+  return text.replace(/[<>&"']/g, (char) => `&#${char.charCodeAt(0)};`);
+}
@@ -0,0 +1,33 @@
+// File type detection for file nodes
+
+const IMAGE_EXTENSIONS = ['png', 'jpg', 'jpeg', 'gif', 'webp', 'svg'];
+
+/**
+ * Get the lowercase extension of a path, without the dot
+ */
+export function getExtension(filePath: string): string {
+  const name = filePath.split(/[\\/]/).pop() || '';
+  const dot = name.lastIndexOf('.');
+  return dot > 0 ? name.slice(dot + 1).toLowerCase() : '';
+}
+
+/**
+ * Check whether a file should be rendered as an image
+ */
+export function isImageFile(filePath: string): boolean {
+  return IMAGE_EXTENSIONS.includes(getExtension(filePath));
+}
+
+/**
+ * Check whether a file should be rendered and edited as markdown
+ */
+export function isMarkdownFile(filePath: string): boolean {
+  return ['md', 'markdown'].includes(getExtension(filePath));
+}
+
+/**
+ * Check whether a file is another canvas
+ */
+export function isCanvasFile(filePath: string): boolean {
+  return getExtension(filePath) === 'canvas';
+}
@@ -0,0 +1,123 @@
+// Syntax highlighting for code file nodes
+
+import hljs from 'highlight.js/lib/core';
+import bash from 'highlight.js/lib/languages/bash';
+import c from 'highlight.js/lib/languages/c';
+import cpp from 'highlight.js/lib/languages/cpp';
+import csharp from 'highlight.js/lib/languages/csharp';
+import css from 'highlight.js/lib/languages/css';
+import go from 'highlight.js/lib/languages/go';
+import java from 'highlight.js/lib/languages/java';
+import javascript from 'highlight.js/lib/languages/javascript';
+import json from 'highlight.js/lib/languages/json';
+import php from 'highlight.js/lib/languages/php';
+import python from 'highlight.js/lib/languages/python';
+import ruby from 'highlight.js/lib/languages/ruby';
+import rust from 'highlight.js/lib/languages/rust';
+import sql from 'highlight.js/lib/languages/sql';
+import typescript from 'highlight.js/lib/languages/typescript';
+import xml from 'highlight.js/lib/languages/xml';
+import yaml from 'highlight.js/lib/languages/yaml';
+import { getExtension } from './files.ts';
+
+// Only register the languages we map to, to keep the webview bundle small
+hljs.registerLanguage('bash', bash);
+hljs.registerLanguage('c', c);
+hljs.registerLanguage('cpp', cpp);
+hljs.registerLanguage('csharp', csharp);
+hljs.registerLanguage('css', css);
+hljs.registerLanguage('go', go);
+hljs.registerLanguage('java', java);
+hljs.registerLanguage('javascript', javascript);
+hljs.registerLanguage('json', json);
+hljs.registerLanguage('php', php);
+hljs.registerLanguage('python', python);
+hljs.registerLanguage('ruby', ruby);
+hljs.registerLanguage('rust', rust);
+hljs.registerLanguage('sql', sql);
+hljs.registerLanguage('typescript', typescript);
+hljs.registerLanguage('xml', xml);
+hljs.registerLanguage('yaml', yaml);
+
+const LANGUAGE_BY_EXTENSION: Record<string, string> = {
+  sh: 'bash',
+  bash: 'bash',
+  zsh: 'bash',
+  c: 'c',
+  h: 'c',
+  cpp: 'cpp',
+  cc: 'cpp',
+  hpp: 'cpp',
+  cs: 'csharp',
+  css: 'css',
+  scss: 'css',
+  go: 'go',
+  java: 'java',
+  js: 'javascript',
+  jsx: 'javascript',
+  mjs: 'javascript',
+  cjs: 'javascript',
+  json: 'json',
+  php: 'php',
+  py: 'python',
+  rb: 'ruby',
+  rs: 'rust',
+  sql: 'sql',
+  ts: 'typescript',
+  tsx: 'typescript',
+  mts: 'typescript',
+  cts: 'typescript',
+  html: 'xml',
+  xml: 'xml',
+  svelte: 'xml',
+  vue: 'xml',
+  yml: 'yaml',
+  yaml: 'yaml'
+};
+
+function escapeHtml(text: string): string {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Split highlighted HTML into one string per source line.
+ * Spans that cross a line break are closed and reopened so every line is valid HTML.
+ */
+function splitHighlightedLines(html: string): string[] {
+  const lines: string[] = [];
+  const openTags: string[] = [];
+  let current = '';
+
+  for (const token of html.split(/(<span[^>]*>|<\/span>|\n)/)) {
+    if (token === '\n') {
+      lines.push(current + '</span>'.repeat(openTags.length));
+      current = openTags.join('');
+    } else if (token.startsWith('<span')) {
+      openTags.push(token);
+      current += token;
+    } else if (token === '</span>') {
+      openTags.pop();
+      current += token;
+    } else {
+      current += token;
+    }
+  }
+
+  lines.push(current);
+  return lines;
+}
+
+/**
+ * Highlight a file's source and return the HTML for each line
+ */
+export function highlightLines(code: string, filePath: string): string[] {
+  const language = LANGUAGE_BY_EXTENSION[getExtension(filePath)];
+
+  try {
+    const html = language ? hljs.highlight(code, { language, ignoreIllegals: true }).value : escapeHtml(code);
+    return splitHighlightedLines(html);
+  } catch (error) {
+    console.warn('Syntax highlighting failed:', error);
+    return escapeHtml(code).split('\n');
+  }
+}
@@ -0,0 +1,145 @@
+// Markdown helpers for file node subpaths (#Heading, #Parent#Child, #^blockid)
+
+export interface SubpathRange {
+  start: number; // Offset of the first character of the section
+  end: number; // Offset just past the section
+  blockId?: string; // Set for #^blockid subpaths
+}
+
+interface MarkdownLine {
+  text: string;
+  start: number;
+  end: number; // Offset past the line break
+  inFence: boolean;
+}
+
+function splitLines(content: string): MarkdownLine[] {
+  const lines: MarkdownLine[] = [];
+  let offset = 0;
+  let inFence = false;
+
+  for (const text of content.split('\n')) {
+    const isFence = /^\s*(```|~~~)/.test(text);
+    lines.push({ text, start: offset, end: offset + text.length + 1, inFence: inFence || isFence });
+    if (isFence) inFence = !inFence;
+    offset += text.length + 1;
+  }
+
+  return lines;
+}
+
+function headingLevel(line: MarkdownLine): number {
+  if (line.inFence) return 0;
+  const match = line.text.match(/^(#{1,6})\s+/);
+  return match ? match[1].length : 0;
+}
+
+function headingText(line: MarkdownLine): string {
+  return line.text.replace(/^#{1,6}\s+/, '').replace(/\s+#+\s*$/, '').trim();
+}
+
+function sameHeading(a: string, b: string): boolean {
+  return a.trim().toLowerCase() === b.trim().toLowerCase();
+}
+
+/**
+ * Locate the text a subpath refers to.
+ * Headings span up to the next heading of the same or a higher level;
+ * blocks span the list item or paragraph ending in `^blockid`.
+ */
+export function findSubpathRange(content: string, subpath: string): SubpathRange | null {
+  const lines = splitLines(content);
+  const end = (line: MarkdownLine) => Math.min(line.end, content.length);
+
+  if (subpath.startsWith('#^')) {
+    const blockId = subpath.slice(2);
+    const marker = new RegExp(`\\s\\^${blockId.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\s*$`);
+    const index = lines.findIndex((line) => !line.inFence && marker.test(line.text));
+    if (index === -1) return null;
+
+    // A list item is its own block; otherwise walk back to the start of the paragraph
+    let first = index;
+    if (!/^\s*([-*+]|\d+\.)\s/.test(lines[index].text)) {
+      while (first > 0 && lines[first - 1].text.trim() !== '' && !headingLevel(lines[first - 1])) {
+        first--;
+      }
+    }
+
+    return { start: lines[first].start, end: end(lines[index]), blockId };
+  }
+
+  const headings = subpath.split('#').filter((part) => part.trim() !== '');
+  if (headings.length === 0) return null;
+
+  // Match each heading in turn, each one nested inside the previous match
+  let searchFrom = 0;
+  let searchTo = lines.length;
+  let match = -1;
+
+  for (const heading of headings) {
+    match = -1;
+    for (let i = searchFrom; i < searchTo; i++) {
+      if (headingLevel(lines[i]) && sameHeading(headingText(lines[i]), heading)) {
+        match = i;
+        break;
+      }
+    }
+    if (match === -1) return null;
+
+    const level = headingLevel(lines[match]);
+    let sectionEnd = match + 1;
+    while (sectionEnd < searchTo && !(headingLevel(lines[sectionEnd]) && headingLevel(lines[sectionEnd]) <= level)) {
+      sectionEnd++;
+    }
+
+    searchFrom = match + 1;
+    searchTo = sectionEnd;
+  }
+
+  return { start: lines[match].start, end: end(lines[searchTo - 1]) };
+}
+
+/**
+ * Get the section of a file a subpath refers to, or null if it no longer exists.
+ * Block ids are stripped so they do not show up in the node.
+ */
+export function extractSubpath(content: string, subpath: string): string | null {
+  const range = findSubpathRange(content, subpath);
+  if (!range) return null;
+
+  const section = content.slice(range.start, range.end).replace(/\n+$/, '');
+  return range.blockId ? section.replace(/\s\^[\w-]+\s*$/, '') : section;
+}
+
+/**
+ * Splice an edited section back into the full file at the subpath's location
+ */
+export function replaceSubpath(content: string, subpath: string, section: string): string | null {
+  const range = findSubpathRange(content, subpath);
+  if (!range) return null;
+
+  let replacement = section.replace(/\n+$/, '');
+  if (range.blockId) {
+    replacement += ` ^${range.blockId}`;
+  }
+
+  // Keep the blank lines that separated the section from what follows
+  const original = content.slice(range.start, range.end);
+  replacement += original.match(/\n*$/)![0];
+
+  return content.slice(0, range.start) + replacement + content.slice(range.end);
+}
+
+/**
+ * Point a heading subpath at a renamed heading, keeping any parent headings
+ */
+export function renameHeadingSubpath(subpath: string, section: string): string {
+  if (subpath.startsWith('#^')) return subpath;
+
+  const match = section.split('\n')[0].match(/^#{1,6}\s+(.+?)(\s+#+)?\s*$/);
+  if (!match) return subpath;
+
+  const parts = subpath.split('#').filter((part) => part.trim() !== '');
+  parts[parts.length - 1] = match[1].trim();
+  return '#' + parts.join('#');
+}
@@ -5,92 +5,324 @@ import type { Node, Edge } from '@xyflow/svelte';
 export interface ObsidianCanvas {
   nodes: ObsidianNode[];
   edges: ObsidianEdge[];
+  [key: string]: unknown;
 }
 
+export type ObsidianSide = 'top' | 'right' | 'bottom' | 'left';
+
+export type ObsidianNodeType = 'text' | 'file' | 'link' | 'group';
+
 export interface ObsidianNode {
   id: string;
   x: number;
   y: number;
   width: number;
   height: number;
-  type: 'text' | 'file';
+  type: ObsidianNodeType;
   text?: string;
   file?: string;
+  subpath?: string;
+  lineStart?: number; // Code file nodes: first line shown (1-based), not part of the JSON Canvas spec
+  lineEnd?: number; // Code file nodes: last line shown (inclusive)
+  url?: string;
+  title?: string;
   color?: string;
+  label?: string;
+  background?: string;
+  backgroundStyle?: 'cover' | 'ratio' | 'repeat';
+  [key: string]: unknown;
 }
 
 export interface ObsidianEdge {
   id: string;
   fromNode: string;
-  fromSide: 'top' | 'right' | 'bottom' | 'left';
+  fromSide?: ObsidianSide;
   toNode: string;
-  toSide: 'top' | 'right' | 'bottom' | 'left';
+  toSide?: ObsidianSide;
+  fromEnd?: 'none' | 'arrow';
+  toEnd?: 'none' | 'arrow';
   color?: string;
   label?: string;
+  [key: string]: unknown;
+}
+
+const NODE_TYPES: ObsidianNodeType[] = ['text', 'file', 'link', 'group'];
+
+// Fields the converter understands; anything else is carried through untouched
+const CANVAS_FIELDS = ['nodes', 'edges'];
+const NODE_FIELDS = [
+  'id', 'type', 'x', 'y', 'width', 'height', 'text', 'file', 'subpath',
+  'lineStart', 'lineEnd', 'url', 'title',
+  'color', 'label', 'background', 'backgroundStyle'
+];
+const EDGE_FIELDS = ['id', 'fromNode', 'fromSide', 'toNode', 'toSide', 'fromEnd', 'toEnd', 'color', 'label'];
+// Unknown node types keep all their fields except the ones the editor can change
+const GENERIC_NODE_FIELDS = ['id', 'type', 'x', 'y', 'width', 'height', 'color'];
+
+/**
+ * Map a node type to a supported type, falling back to text for unknown types
+ */
+function toNodeType(type: string | undefined): ObsidianNodeType {
+  return NODE_TYPES.includes(type as ObsidianNodeType) ? (type as ObsidianNodeType) : 'text';
+}
+
+/**
+ * Collect the properties of an object that are not in the known field list
+ */
+function pickUnknownFields(source: object, knownFields: string[]): Record<string, unknown> | undefined {
+  const extra: Record<string, unknown> = {};
+  for (const [key, value] of Object.entries(source)) {
+    if (!knownFields.includes(key)) {
+      extra[key] = value;
+    }
+  }
+  return Object.keys(extra).length > 0 ? extra : undefined;
 }
 
 /**
  * Convert Obsidian Canvas format to SvelteFlow format
  */
-export function obsidianToSvelteFlow(obsidian: ObsidianCanvas): { nodes: Node[]; edges: Edge[] } {
-  const nodes: Node[] = obsidian.nodes.map((node) => ({
+export function obsidianToSvelteFlow(obsidian: ObsidianCanvas): {
+  nodes: Node[];
+  edges: Edge[];
+  extra?: Record<string, unknown>;
+} {
+  const nodes: Node[] = (obsidian.nodes || []).map((node) => ({
     id: node.id,
-    type: node.type === 'file' ? 'file' : 'text',
+    type: toNodeType(node.type),
     position: { x: node.x, y: node.y },
     data: {
-      label: node.text || node.file || '',
+      label: node.type === 'group' ? node.label || '' : node.text || node.file || node.url || '',
       text: node.text || '',
       file: node.file,
+      subpath: node.subpath,
+      lineStart: node.lineStart,
+      lineEnd: node.lineEnd,
+      url: node.url,
+      title: node.title,
       width: node.width,
       height: node.height,
-      color: node.color
+      color: node.color,
+      background: node.background,
+      backgroundStyle: node.backgroundStyle,
+      // Node types this editor does not know are shown as text but saved with their own type
+      sourceType: toNodeType(node.type) === node.type ? undefined : node.type,
+      extra: pickUnknownFields(node, toNodeType(node.type) === node.type ? NODE_FIELDS : GENERIC_NODE_FIELDS)
     },
     style: node.width && node.height ? `width: ${node.width}px; height: ${node.height}px` : undefined
   }));
 
-  const edges: Edge[] = obsidian.edges.map((edge) => ({
+  const edges: Edge[] = (obsidian.edges || []).map((edge) => ({
     id: edge.id,
+    type: 'canvas',
     source: edge.fromNode,
     target: edge.toNode,
+    // Node handles are named after the side they sit on
+    sourceHandle: edge.fromSide,
+    targetHandle: edge.toSide,
     data: {
       fromSide: edge.fromSide,
       toSide: edge.toSide,
+      fromEnd: edge.fromEnd,
+      toEnd: edge.toEnd,
       color: edge.color,
-      label: edge.label
+      label: edge.label,
+      extra: pickUnknownFields(edge, EDGE_FIELDS)
     }
   }));
 
-  return { nodes, edges };
+  return { nodes: assignGroupParents(nodes), edges, extra: pickUnknownFields(obsidian, CANVAS_FIELDS) };
 }
 
 /**
- * Convert SvelteFlow format to Obsidian Canvas format
+ * Convert SvelteFlow format to Obsidian Canvas format.
+ * `extra` holds unknown top-level document fields to write back.
+ * `nodeOrder` is the order of the node IDs in the document, which is their z-order;
+ * SvelteFlow needs groups first, so the editor's own order is only used for new nodes.
  */
-export function svelteFlowToObsidian(nodes: Node[], edges: Edge[]): ObsidianCanvas {
-  const obsidianNodes: ObsidianNode[] = nodes.map((node) => ({
-    id: node.id,
-    x: node.position.x,
-    y: node.position.y,
-    width: node.data?.width || 250,
-    height: node.data?.height || 60,
-    type: node.type === 'file' ? 'file' : 'text',
-    text: node.type === 'file' ? undefined : (node.data?.text || node.data?.label || ''),
-    file: node.type === 'file' ? node.data?.file : undefined,
-    color: node.data?.color
-  }));
+export function svelteFlowToObsidian(
+  nodes: Node[],
+  edges: Edge[],
+  extra?: Record<string, unknown>,
+  nodeOrder: string[] = []
+): ObsidianCanvas {
+  const nodesById = new Map(nodes.map((node) => [node.id, node]));
+
+  const obsidianNodes: ObsidianNode[] = toDocumentOrder(nodes, nodeOrder).map((node) => {
+    const position = getAbsolutePosition(node, nodesById);
+
+    const type = toNodeType(node.type);
+    const sourceType = node.data?.sourceType as string | undefined;
+
+    return {
+      id: node.id,
+      x: position.x,
+      y: position.y,
+      width: node.data?.width || 250,
+      height: node.data?.height || 60,
+      type: (sourceType || type) as ObsidianNodeType,
+      text: type === 'text' && !sourceType ? (node.data?.text || node.data?.label || '') : undefined,
+      file: type === 'file' ? node.data?.file : undefined,
+      subpath: type === 'file' ? node.data?.subpath || undefined : undefined,
+      lineStart: type === 'file' ? node.data?.lineStart : undefined,
+      lineEnd: type === 'file' ? node.data?.lineEnd : undefined,
+      url: type === 'link' ? node.data?.url : undefined,
+      title: type === 'link' ? node.data?.title : undefined,
+      color: node.data?.color,
+      label: type === 'group' ? node.data?.label || undefined : undefined,
+      background: type === 'group' ? node.data?.background : undefined,
+      backgroundStyle: type === 'group' ? node.data?.backgroundStyle : undefined,
+      ...(node.data?.extra as Record<string, unknown> | undefined)
+    };
+  });
 
   const obsidianEdges: ObsidianEdge[] = edges.map((edge) => ({
     id: edge.id,
     fromNode: edge.source,
-    fromSide: edge.data?.fromSide || 'right',
+    fromSide: (edge.sourceHandle || edge.data?.fromSide) as ObsidianSide | undefined,
     toNode: edge.target,
-    toSide: edge.data?.toSide || 'left',
+    toSide: (edge.targetHandle || edge.data?.toSide) as ObsidianSide | undefined,
+    fromEnd: edge.data?.fromEnd,
+    toEnd: edge.data?.toEnd,
     color: edge.data?.color,
-    label: edge.data?.label
+    label: edge.data?.label,
+    ...(edge.data?.extra as Record<string, unknown> | undefined)
   }));
 
   return {
     nodes: obsidianNodes,
-    edges: obsidianEdges
+    edges: obsidianEdges,
+    ...extra
   };
 }
+
+/**
+ * Put nodes back in their document order. A node that is not in the document yet goes
+ * right after the node before it in the editor (or first, like a new group).
+ */
+function toDocumentOrder(nodes: Node[], nodeOrder: string[]): Node[] {
+  const documentIndex = new Map(nodeOrder.map((id, index) => [id, index]));
+  let previousIndex = -1;
+
+  return nodes
+    .map((node, editorIndex) => {
+      const index = documentIndex.get(node.id);
+      if (index !== undefined) previousIndex = index;
+      return { node, key: index ?? previousIndex + 0.5, editorIndex };
+    })
+    .sort((a, b) => a.key - b.key || a.editorIndex - b.editorIndex)
+    .map(({ node }) => node);
+}
+
+/**
+ * Get a node's position in canvas coordinates, resolving any parent groups
+ */
+export function getAbsolutePosition(node: Node, nodesById: Map<string, Node>): { x: number; y: number } {
+  let x = node.position.x;
+  let y = node.position.y;
+  let parent = node.parentId ? nodesById.get(node.parentId) : undefined;
+
+  while (parent) {
+    x += parent.position.x;
+    y += parent.position.y;
+    parent = parent.parentId ? nodesById.get(parent.parentId) : undefined;
+  }
+
+  return { x, y };
+}
+
+/**
+ * Find the smallest group that fully contains the given bounds.
+ * Groups listed in `excludeIds` (the node itself and its descendants) are skipped.
+ */
+export function findContainingGroup(
+  bounds: { x: number; y: number; width: number; height: number },
+  nodes: Node[],
+  excludeIds: Set<string>
+): Node | undefined {
+  const nodesById = new Map(nodes.map((node) => [node.id, node]));
+  let best: Node | undefined;
+  let bestArea = Infinity;
+
+  for (const group of nodes) {
+    if (group.type !== 'group' || excludeIds.has(group.id)) continue;
+
+    const position = getAbsolutePosition(group, nodesById);
+    const width = group.data?.width || 0;
+    const height = group.data?.height || 0;
+    const area = width * height;
+
+    const contains =
+      bounds.x >= position.x &&
+      bounds.y >= position.y &&
+      bounds.x + bounds.width <= position.x + width &&
+      bounds.y + bounds.height <= position.y + height;
+
+    // A group can only sit inside a strictly larger group, which rules out cycles
+    if (contains && area < bestArea && area > bounds.width * bounds.height) {
+      best = group;
+      bestArea = area;
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Order nodes so every group comes before the nodes inside it (required by SvelteFlow).
+ * The existing order is kept wherever it already satisfies this.
+ */
+export function sortParentsFirst(nodes: Node[]): Node[] {
+  const nodesById = new Map(nodes.map((node) => [node.id, node]));
+  const visited = new Set<string>();
+  const sorted: Node[] = [];
+
+  const visit = (node: Node) => {
+    if (visited.has(node.id)) return;
+    visited.add(node.id);
+
+    const parent = node.parentId ? nodesById.get(node.parentId) : undefined;
+    if (parent) visit(parent);
+
+    sorted.push(node);
+  };
+
+  nodes.forEach(visit);
+  return sorted;
+}
+
+/**
+ * Nest nodes inside the groups that spatially contain them.
+ * Obsidian stores absolute positions only, so parentage is derived from bounds
+ * and child positions are made relative to their parent group.
+ * The result is ordered for SvelteFlow; saving restores the document order.
+ */
+function assignGroupParents(nodes: Node[]): Node[] {
+  const parents = new Map<string, Node | undefined>();
+
+  for (const node of nodes) {
+    const bounds = {
+      x: node.position.x,
+      y: node.position.y,
+      width: node.data?.width || 0,
+      height: node.data?.height || 0
+    };
+    parents.set(node.id, findContainingGroup(bounds, nodes, new Set([node.id])));
+  }
+
+  const nested = nodes.map((node) => {
+    const parent = parents.get(node.id);
+    if (!parent) return node;
+
+    return {
+      ...node,
+      parentId: parent.id,
+      position: {
+        x: node.position.x - parent.position.x,
+        y: node.position.y - parent.position.y
+      }
+    };
+  });
+
+  return sortParentsFirst(nested);
+}